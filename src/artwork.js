@@ -0,0 +1,284 @@
+import fs from "fs-extra";
+import path from "path";
+import { tokenize } from "./matcher.js";
+import { runYtDlp, getVideoLogPath } from "./ytdlp.js";
+import { findConjuntoByName } from "./config.js";
+import { parseVideoTitle, normalizeString } from "./parser.js";
+import {
+  findNfoFiles,
+  getNfoRoot,
+  readNfoElement,
+  renderArtworkXml,
+} from "./nfo.js";
+
+// Artwork types Kodi picks up next to a video (<name>-<kind>.ext) or in a folder (<kind>.ext)
+const artworkKinds = ["poster", "fanart", "clearlogo"];
+const imageExtensions = [".jpg", ".jpeg", ".png"];
+
+/**
+ * Directory of the hand-picked artwork (settings.artwork.directory).
+ * @param {Object} settings - Loaded configuration settings
+ * @returns {string|null} Absolute path, or null when not configured
+ */
+export function getArtworkDir(settings) {
+  const { directory } = settings.artwork;
+  return directory ? path.resolve(directory) : null;
+}
+
+/**
+ * yt-dlp arguments saving the video thumbnail as <baseFilename>-thumb.jpg.
+ * @param {string} outputDir - Directory of the video
+ * @param {string} baseFilename - Base filename of the video
+ * @returns {string[]} yt-dlp arguments
+ */
+export function getThumbnailArgs(outputDir, baseFilename) {
+  return [
+    "--write-thumbnail",
+    "--convert-thumbnails",
+    "jpg",
+    "--output",
+    `thumbnail:${path.join(outputDir, `${baseFilename}-thumb`)}.%(ext)s`,
+  ];
+}
+
+/**
+ * Find the hand-picked artwork of a conjunto or category:
+ * <artworkDir>/<section>/<Name>/{poster,fanart,clearlogo}.{jpg,png}.
+ * Folder names are compared ignoring case, accents and punctuation.
+ * @param {string|null} artworkDir - See getArtworkDir
+ * @param {string} section - "conjuntos" or "categories"
+ * @param {string} name - Conjunto or category name
+ * @returns {Promise<Object>} { [kind]: image path } for the images found
+ */
+async function findLocalArtwork(artworkDir, section, name) {
+  if (!artworkDir || !name) return {};
+  const sectionDir = path.join(artworkDir, section);
+  if (!(await fs.pathExists(sectionDir))) return {};
+  const key = tokenize(name).join("");
+  const folder = (await fs.readdir(sectionDir)).find(
+    (entry) => tokenize(entry).join("") === key
+  );
+  if (!folder) return {};
+  const found = {};
+  for (const file of await fs.readdir(path.join(sectionDir, folder))) {
+    const kind = path.parse(file).name.toLowerCase();
+    const extension = path.extname(file).toLowerCase();
+    if (artworkKinds.includes(kind) && imageExtensions.includes(extension)) {
+      found[kind] = path.join(sectionDir, folder, file);
+    }
+  }
+  return found;
+}
+
+/**
+ * Copy an image unless the target is already up to date with it.
+ * @param {string} source - Image to copy
+ * @param {string} target - Destination
+ * @returns {Promise<boolean>} True if the image was copied
+ */
+async function copyIfNewer(source, target) {
+  if (await fs.pathExists(target)) {
+    const [sourceStat, targetStat] = await Promise.all([
+      fs.stat(source),
+      fs.stat(target),
+    ]);
+    if (targetStat.mtimeMs >= sourceStat.mtimeMs) return false;
+  }
+  await fs.copy(source, target);
+  return true;
+}
+
+/**
+ * Put the artwork of a downloaded video next to it.
+ * The video thumbnail (<baseFilename>-thumb.jpg) doubles as poster and
+ * fanart, unless the conjunto has hand-picked ones in the artwork directory,
+ * which are then used for all of its years.
+ * @param {Object} location - { outputDir, baseFilename, conjunto }
+ * @param {string|null} artworkDir - See getArtworkDir
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<Object>} File names of the artwork present { poster, thumb, fanart, clearlogo }
+ */
+export async function writeVideoArtwork(
+  { outputDir, baseFilename, conjunto },
+  artworkDir,
+  logger
+) {
+  const artwork = {};
+  const thumbPath = path.join(outputDir, `${baseFilename}-thumb.jpg`);
+  if (await fs.pathExists(thumbPath)) {
+    artwork.thumb = path.basename(thumbPath);
+  }
+  const local = await findLocalArtwork(artworkDir, "conjuntos", conjunto?.name);
+  for (const kind of artworkKinds) {
+    const source =
+      local[kind] || (kind !== "clearlogo" && artwork.thumb ? thumbPath : null);
+    if (!source) continue;
+    const fileName = `${baseFilename}-${kind}${path
+      .extname(source)
+      .toLowerCase()}`;
+    if (await copyIfNewer(source, path.join(outputDir, fileName))) {
+      logger.debug(`Wrote ${kind} artwork ${fileName}`);
+    }
+    artwork[kind] = fileName;
+  }
+  return artwork;
+}
+
+/**
+ * Artwork files already next to a video, as written by writeVideoArtwork.
+ * @param {string} outputDir - Directory of the video
+ * @param {string} baseFilename - Base filename of the video
+ * @returns {Promise<Object>} File names of the artwork present { poster, thumb, fanart, clearlogo }
+ */
+export async function listVideoArtwork(outputDir, baseFilename) {
+  const artwork = {};
+  for (const kind of ["thumb", ...artworkKinds]) {
+    for (const extension of imageExtensions) {
+      const fileName = `${baseFilename}-${kind}${extension}`;
+      if (await fs.pathExists(path.join(outputDir, fileName))) {
+        artwork[kind] = fileName;
+        break;
+      }
+    }
+  }
+  return artwork;
+}
+
+/**
+ * Copy a category's or conjunto's hand-picked artwork as folder art
+ * (poster.jpg, fanart.jpg, ...): category art goes into the folders holding
+ * that category's videos, conjunto art into its show folder in the TV-show
+ * layout.
+ * @param {string} folderDir - Folder, e.g. <year>/<category> or <Category>/<Conjunto>
+ * @param {string} section - "categories" or "conjuntos"
+ * @param {string} name - Category or conjunto name
+ * @param {string|null} artworkDir - See getArtworkDir
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<void>}
+ */
+export async function writeFolderArtwork(
+  folderDir,
+  section,
+  name,
+  artworkDir,
+  logger
+) {
+  const local = await findLocalArtwork(artworkDir, section, name);
+  for (const [kind, source] of Object.entries(local)) {
+    const target = path.join(
+      folderDir,
+      `${kind}${path.extname(source).toLowerCase()}`
+    );
+    if (await copyIfNewer(source, target)) {
+      logger.info(`Wrote ${name} folder ${kind} to ${target}`);
+    }
+  }
+}
+
+/**
+ * Add artwork to videos downloaded before artwork existed (or whose
+ * conjunto or category got hand-picked artwork since).
+ * Every NFO in the library is visited: missing thumbnails are fetched with
+ * yt-dlp (unless offline), local artwork is copied, and NFOs without
+ * artwork references get them. The conjunto is read back from the NFO title
+ * (the show title for TV episodes); show folders with a tvshow.nfo get the
+ * conjunto's folder art.
+ * @param {string} baseDir - Base directory of the library
+ * @param {Object} trackingFiles - Paths to tracking files (for yt-dlp logs)
+ * @param {Object} config - Loaded configuration
+ * @param {Object} logger - Logger instance
+ * @param {Object} [options] - { offline: skip fetching thumbnails }
+ * @returns {Promise<Object>} Stats { videos, thumbnailsFetched, nfosUpdated, failed }
+ */
+export async function backfillArtwork(
+  baseDir,
+  trackingFiles,
+  config,
+  logger,
+  options = {}
+) {
+  const artworkDir = getArtworkDir(config.settings);
+  const stats = { videos: 0, thumbnailsFetched: 0, nfosUpdated: 0, failed: 0 };
+
+  for (const nfoPath of await findNfoFiles(baseDir)) {
+    const outputDir = path.dirname(nfoPath);
+    const baseFilename = path.basename(nfoPath, ".nfo");
+    // A broken NFO is counted as failed instead of ending the run
+    try {
+      const content = await fs.readFile(nfoPath, "utf8");
+      const root = getNfoRoot(content);
+      if (!root) throw new Error("No root element found");
+      if (root === "tvshow") {
+        await writeFolderArtwork(
+          outputDir,
+          "conjuntos",
+          readNfoElement(content, "title"),
+          artworkDir,
+          logger
+        );
+        continue;
+      }
+
+      stats.videos++;
+      const videoId = readNfoElement(content, "uniqueid");
+      // Episode titles only name the round; the show is the conjunto
+      const parsed =
+        root === "episodedetails"
+          ? {
+              conjunto: findConjuntoByName(
+                config,
+                readNfoElement(content, "showtitle"),
+                normalizeString
+              ),
+              extra: null,
+            }
+          : parseVideoTitle(readNfoElement(content, "title") || "", config);
+
+      const thumbPath = path.join(outputDir, `${baseFilename}-thumb.jpg`);
+      if (!options.offline && videoId && !(await fs.pathExists(thumbPath))) {
+        const result = await runYtDlp(
+          [
+            `https://www.youtube.com/watch?v=${videoId}`,
+            "--skip-download",
+            ...getThumbnailArgs(outputDir, baseFilename),
+          ],
+          { logPath: getVideoLogPath(trackingFiles.downloadedPath, videoId) }
+        );
+        if (result.exitCode !== 0) {
+          throw new Error(result.errorLines.join(" | "));
+        }
+        stats.thumbnailsFetched++;
+      }
+
+      const artwork = await writeVideoArtwork(
+        { outputDir, baseFilename, conjunto: parsed.conjunto },
+        artworkDir,
+        logger
+      );
+      if (root === "movie" && parsed.conjunto && !parsed.extra) {
+        await writeFolderArtwork(
+          outputDir,
+          "categories",
+          parsed.conjunto.category,
+          artworkDir,
+          logger
+        );
+      }
+
+      const artworkXml = renderArtworkXml(artwork);
+      if (artworkXml && !content.includes("<thumb")) {
+        await fs.writeFile(
+          nfoPath,
+          content.replace(`</${root}>`, `${artworkXml}\n</${root}>`)
+        );
+        stats.nfosUpdated++;
+      }
+    } catch (error) {
+      stats.failed++;
+      logger.error(`Failed to backfill artwork for ${nfoPath}`, {
+        error: error.message,
+      });
+    }
+  }
+  return stats;
+}
@@ -0,0 +1,67 @@
+// Containers yt-dlp can extract audio to and embed tags and cover art in
+export const audioFormats = ["m4a", "opus", "mp3"];
+
+/**
+ * Music tags of an audio download.
+ * The conjunto is the artist and "<Conjunto> <Year>" the album; the round
+ * gives the track number (its place in the round taxonomy), so a year's
+ * rounds sort in contest order within the album. Extras without a known
+ * conjunto are filed under their keyword group label.
+ * @param {Object} info - Effective { year, conjunto, round, extra }
+ * @param {Object} settings - Loaded configuration settings (for the rounds)
+ * @returns {Object} Tags { artist, album_artist, album, title, genre, date, track, disc }
+ */
+export function getAudioTags({ year, conjunto, round, extra }, settings) {
+  const artist = conjunto?.name || extra?.label || "Unknown";
+  const album = `${artist} ${year}`;
+  const rounds = [...settings.rounds].sort((a, b) => a.priority - b.priority);
+  const roundIndex = rounds.findIndex((candidate) => candidate.name === round);
+  // Without a conjunto the extra's label is already the artist
+  const label = extra ? (conjunto ? extra.label : null) : round;
+  return {
+    artist,
+    album_artist: artist,
+    album,
+    title: label ? `${album} - ${label}` : album,
+    genre: extra ? extra.genre : conjunto?.category || "Carnival",
+    date: String(year),
+    track: roundIndex >= 0 ? `${roundIndex + 1}/${rounds.length}` : "1",
+    disc: "1/1",
+  };
+}
+
+/**
+ * yt-dlp arguments extracting the audio with tags and the thumbnail as
+ * embedded cover art.
+ * Each tag is set by copying the video ID into its meta_ field and replacing
+ * the whole value with the tag, so names are never read as output template
+ * fields (which a bare --parse-metadata value like "Curtidores" would be).
+ * @param {string} format - One of audioFormats
+ * @param {Object} tags - Result of getAudioTags
+ * @returns {string[]} yt-dlp arguments
+ */
+export function buildAudioArgs(format, tags) {
+  const tagArgs = Object.entries(tags).flatMap(([field, value]) => [
+    "--parse-metadata",
+    `%(id)s:%(meta_${field})s`,
+    "--replace-in-metadata",
+    `meta_${field}`,
+    "^.+$",
+    // Replacement strings treat backslashes specially
+    String(value).replace(/\\/g, "\\\\"),
+  ]);
+  return [
+    "--format",
+    "bestaudio/best",
+    "--extract-audio",
+    "--audio-format",
+    format,
+    "--audio-quality",
+    "0",
+    "--embed-thumbnail",
+    "--convert-thumbnails",
+    "jpg",
+    "--embed-metadata",
+    ...tagArgs,
+  ];
+}
@@ -0,0 +1,134 @@
+import fs from "fs-extra";
+import { performance } from "perf_hooks";
+import { parseVideoTitle } from "./parser.js";
+import { createMatchIndex } from "./matcher.js";
+
+/**
+ * Read video titles from a file.
+ * Accepts a yt-dlp JSON dump (`{ entries: [{ title }] }`), a JSON array of
+ * titles or video objects, or plain text with one title per line.
+ * @param {string} filePath - Path to the titles file
+ * @returns {Promise<string[]>} List of titles
+ */
+export async function readTitlesFile(filePath) {
+  const content = await fs.readFile(filePath, "utf8");
+  let data = null;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    // Not JSON: one title per line
+    return content
+      .split(/\r?\n/)
+      .map((line) => line.trim())
+      .filter(Boolean);
+  }
+  const items = Array.isArray(data) ? data : data?.entries;
+  if (!Array.isArray(items)) {
+    throw new Error(
+      `Titles file ${filePath} must be a JSON array, a yt-dlp dump with 'entries' or plain text`
+    );
+  }
+  return items
+    .map((item) => (typeof item === "string" ? item : item?.title))
+    .filter((title) => typeof title === "string" && title.trim());
+}
+
+/**
+ * Parse every title once and time it.
+ * @param {string[]} titles - Titles to parse
+ * @param {Object} config - Configuration to parse with
+ * @returns {Object} { ms, perSecond, matched, results }
+ */
+function timeParses(titles, config) {
+  const results = [];
+  const start = performance.now();
+  for (const title of titles) {
+    results.push(parseVideoTitle(title, config));
+  }
+  const ms = performance.now() - start;
+  return {
+    ms: Math.round(ms),
+    perSecond: Math.round((titles.length / ms) * 1000),
+    matched: results.filter((result) => result.conjunto).length,
+    results,
+  };
+}
+
+/**
+ * Benchmark title parsing with the match index against a linear scan of the
+ * whole roster, and check that both produce the same parse results.
+ * @param {string} filePath - Titles file (see readTitlesFile)
+ * @param {Object} config - Loaded configuration
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<Object>} Benchmark statistics
+ */
+export async function runParseBenchmark(filePath, config, logger) {
+  const titles = await readTitlesFile(filePath);
+  logger.info(`Benchmarking title parsing with ${titles.length} titles...`);
+
+  const linearConfig = {
+    ...config,
+    matchIndex: createMatchIndex(config.categories, config.settings.matching, {
+      linear: true,
+    }),
+  };
+  // Only the indexed build is timed; the linear "index" is the bare roster
+  const buildStart = performance.now();
+  const indexedConfig = {
+    ...config,
+    matchIndex: createMatchIndex(config.categories, config.settings.matching),
+  };
+  const indexBuildMs = Math.round(performance.now() - buildStart);
+
+  // Per-title parser logging would dominate the timings
+  const previousLevel = logger.level;
+  logger.level = "warn";
+  let indexed, linear;
+  try {
+    indexed = timeParses(titles, indexedConfig);
+    linear = timeParses(titles, linearConfig);
+  } finally {
+    logger.level = previousLevel;
+  }
+
+  const mismatches = [];
+  titles.forEach((title, i) => {
+    const a = indexed.results[i];
+    const b = linear.results[i];
+    if (
+      a.conjunto?.name !== b.conjunto?.name ||
+      a.conjunto?.category !== b.conjunto?.category ||
+      a.year !== b.year ||
+      a.round !== b.round ||
+      a.confidence !== b.confidence
+    ) {
+      mismatches.push({
+        title,
+        indexed: a.conjunto?.name || null,
+        linear: b.conjunto?.name || null,
+      });
+    }
+  });
+
+  const stats = {
+    titles: titles.length,
+    indexBuildMs,
+    indexed: {
+      ms: indexed.ms,
+      perSecond: indexed.perSecond,
+      matched: indexed.matched,
+    },
+    linear: {
+      ms: linear.ms,
+      perSecond: linear.perSecond,
+      matched: linear.matched,
+    },
+    speedup: indexed.ms > 0 ? Number((linear.ms / indexed.ms).toFixed(1)) : null,
+    mismatches,
+  };
+  logger.info("Parse benchmark finished.", {
+    ...stats,
+    mismatches: mismatches.length,
+  });
+  return stats;
+}
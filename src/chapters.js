@@ -0,0 +1,221 @@
+import fs from "fs-extra";
+import path from "path";
+import { tokenize } from "./matcher.js";
+import { runFfmpeg } from "./ytdlp.js";
+
+// A timestamp such as 5:10, 05:10 or 1:02:03, standing on its own
+const timestampPattern =
+  /(?<![\d:])(?:(\d{1,2}):)?(\d{1,2}):(\d{2})(?![\d:])/;
+// Characters around a chapter title that only separate it from the timestamp
+const separatorPattern = /^[\s\-–—:|.,()[\]]+|[\s\-–—:|.,()[\]]+$/g;
+// Files next to a download that are not the media file itself
+const sidecarExtensions = [
+  ".nfo",
+  ".json",
+  ".jpg",
+  ".jpeg",
+  ".png",
+  ".webp",
+  ".part",
+  ".ytdl",
+];
+
+/**
+ * Parse a timestamp list out of a video description: one timestamp per
+ * line, before or after the chapter title ("0:00 Presentación",
+ * "Retirada - 45:10"). The list starts at the first 0:00 when there is one,
+ * so times mentioned above it (such as when the show was recorded) are not
+ * read as chapters. Timestamps must increase in order of appearance; lines
+ * that break the order are treated as text that happens to hold a time.
+ * @param {string} description - Video description
+ * @returns {Array<Object>} Chapters { start, title } (start in seconds), or [] with fewer than two
+ */
+export function parseDescriptionTimestamps(description) {
+  const candidates = [];
+  for (const line of (description || "").split(/\r?\n/)) {
+    const match = timestampPattern.exec(line);
+    if (!match) continue;
+    const start =
+      parseInt(match[1] || "0", 10) * 3600 +
+      parseInt(match[2], 10) * 60 +
+      parseInt(match[3], 10);
+    const title = line
+      .replace(match[0], " ")
+      .replace(separatorPattern, "")
+      .trim();
+    candidates.push({ start, title });
+  }
+
+  const firstIndex = Math.max(
+    candidates.findIndex((candidate) => candidate.start === 0),
+    0
+  );
+  const chapters = [];
+  for (const candidate of candidates.slice(firstIndex)) {
+    const previous = chapters[chapters.length - 1];
+    if (previous && candidate.start <= previous.start) continue;
+    chapters.push({
+      start: candidate.start,
+      title: candidate.title || `Chapter ${chapters.length + 1}`,
+    });
+  }
+  return chapters.length >= 2 ? chapters : [];
+}
+
+/**
+ * Find the murga segment a chapter title names (settings.chapters.segments).
+ * @param {string} title - Chapter title
+ * @param {Array<Object>} segments - Segment definitions { id, keywords }
+ * @returns {string|null} Segment id
+ */
+function findSegment(title, segments) {
+  const words = ` ${tokenize(title).join(" ")} `;
+  const segment = segments.find((candidate) =>
+    candidate.keywords.some((keyword) =>
+      words.includes(` ${tokenize(keyword).join(" ")} `)
+    )
+  );
+  return segment ? segment.id : null;
+}
+
+/**
+ * Build the normalized segment list of a video from yt-dlp's `chapters`
+ * field or, failing that, from timestamps in its description.
+ * @param {Object} videoInfo - Full yt-dlp metadata { chapters, description, duration }
+ * @param {Object} chapterSettings - settings.chapters
+ * @returns {Object|null} { source: "chapters"|"description", chapters: [{ start, end, title, segment }] }, or null
+ */
+export function extractChapters(videoInfo, chapterSettings) {
+  const duration = parseFloat(videoInfo?.duration) || null;
+  let source = "chapters";
+  let chapters = (videoInfo?.chapters || []).map((chapter) => ({
+    start: chapter.start_time,
+    title: chapter.title,
+  }));
+  if (chapters.length < 2) {
+    source = "description";
+    chapters = parseDescriptionTimestamps(videoInfo?.description).filter(
+      (chapter) => !duration || chapter.start < duration
+    );
+  }
+  if (chapters.length < 2) return null;
+  return {
+    source,
+    chapters: chapters.map((chapter, i) => ({
+      start: chapter.start,
+      end: chapters[i + 1]?.start ?? duration,
+      title: chapter.title,
+      segment: findSegment(chapter.title, chapterSettings.segments),
+    })),
+  };
+}
+
+/**
+ * Find the downloaded media file of a video (yt-dlp picks the extension).
+ * @param {string} outputDir - Directory of the download
+ * @param {string} baseFilename - Base filename of the download
+ * @returns {Promise<string|null>} Path, or null if not found
+ */
+async function findMediaFile(outputDir, baseFilename) {
+  const fileName = (await fs.readdir(outputDir)).find(
+    (file) =>
+      path.parse(file).name === baseFilename &&
+      !sidecarExtensions.includes(path.extname(file).toLowerCase())
+  );
+  return fileName ? path.join(outputDir, fileName) : null;
+}
+
+/**
+ * Render chapters in ffmpeg's metadata file format.
+ * @param {Array<Object>} chapters - Chapters { start, end, title }
+ * @returns {string} FFMETADATA1 text
+ */
+function renderFfmetadata(chapters) {
+  const escape = (value) => String(value).replace(/[=;#\\\n]/g, "\\$&");
+  const lines = [";FFMETADATA1"];
+  for (const chapter of chapters) {
+    lines.push(
+      "[CHAPTER]",
+      "TIMEBASE=1/1000",
+      `START=${Math.round(chapter.start * 1000)}`,
+      // The last chapter lasts until the end when the duration is unknown
+      `END=${Math.round((chapter.end ?? chapter.start + 1) * 1000)}`,
+      `title=${escape(chapter.title)}`
+    );
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Store the chapters of a downloaded video and embed them in the file.
+ * The segment list goes to <baseFilename>.chapters.json. Chapters yt-dlp
+ * knows about are embedded by yt-dlp itself (--embed-chapters); chapters
+ * found only in the description are embedded by remuxing with ffmpeg.
+ * @param {Object} download - { outputDir, baseFilename, videoInfo, logPath }
+ * @param {Object} chapterSettings - settings.chapters
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<Object|null>} Result of extractChapters, or null without chapters
+ */
+export async function writeChapters(
+  { outputDir, baseFilename, videoInfo, logPath },
+  chapterSettings,
+  logger
+) {
+  const extracted = extractChapters(videoInfo, chapterSettings);
+  if (!extracted) return null;
+
+  const sidecarPath = path.join(outputDir, `${baseFilename}.chapters.json`);
+  await fs.writeJson(
+    sidecarPath,
+    { id: videoInfo.id, ...extracted },
+    { spaces: 2 }
+  );
+  logger.info(
+    `Found ${extracted.chapters.length} chapters (from ${extracted.source}) for ${videoInfo.id}`
+  );
+  if (extracted.source !== "description") return extracted;
+
+  const mediaPath = await findMediaFile(outputDir, baseFilename);
+  if (!mediaPath) {
+    throw new Error(`No media file found for ${baseFilename} in ${outputDir}`);
+  }
+  const metadataPath = path.join(outputDir, `${baseFilename}.ffmetadata`);
+  const remuxedPath = path.join(
+    outputDir,
+    `${baseFilename}.chapters${path.extname(mediaPath)}`
+  );
+  await fs.writeFile(metadataPath, renderFfmetadata(extracted.chapters));
+  try {
+    const result = await runFfmpeg(
+      [
+        "-y",
+        "-i",
+        mediaPath,
+        "-i",
+        metadataPath,
+        "-map",
+        "0",
+        "-map_metadata",
+        "0",
+        "-map_chapters",
+        "1",
+        "-codec",
+        "copy",
+        remuxedPath,
+      ],
+      { logPath }
+    ).catch((spawnError) => {
+      throw new Error(`Could not start ffmpeg: ${spawnError.message}`);
+    });
+    if (result.exitCode !== 0) {
+      throw new Error(
+        `ffmpeg exited with code ${result.exitCode}: ${result.errorLines.join(" | ")}`
+      );
+    }
+    await fs.move(remuxedPath, mediaPath, { overwrite: true });
+  } finally {
+    await fs.remove(metadataPath);
+    await fs.remove(remuxedPath);
+  }
+  return extracted;
+}
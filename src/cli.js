@@ -4,12 +4,42 @@ import { Command } from "commander";
 import path from "path";
 import logger from "./logger.js";
 import { loadConfig } from "./config.js";
-import { initTracking, getDownloadedSet } from "./state.js";
+import { parseVideoTitle } from "./parser.js";
+import {
+  initTracking,
+  getDownloadedSet,
+  readTrackingJson,
+  useAudioArchive,
+} from "./state.js";
+import { audioFormats } from "./audio.js";
+import { backfillArtwork } from "./artwork.js";
+import {
+  regenerateNfos,
+  reorganizeLibrary,
+  resumeReorganize,
+  rollbackReorganize,
+} from "./library.js";
 import {
   processChannel,
   processSingleVideo,
   processCheckLater,
+  processIgnored,
+  processFailedRetries,
+  reprocessIgnoredVideos,
 } from "./processor.js";
+import { runParseBenchmark, readTitlesFile } from "./benchmark.js";
+import {
+  suggestConjuntos,
+  resolveAcceptedSuggestions,
+  addSuggestionsToConfig,
+} from "./suggest.js";
+import {
+  explainTitle,
+  formatExplanation,
+  createCorpusEntry,
+  readCorpus,
+  checkCorpus,
+} from "./explain.js";
 import fs from "fs-extra";
 
 // Helper function to read version from package.json
@@ -37,6 +67,68 @@ function validateYear(value) {
   return value; // Return the original string value
 }
 
+/**
+ * Force the --quality profile for the whole run.
+ * @param {Object} config - Loaded configuration
+ * @param {string|undefined} profileName - Value of --quality
+ * @throws {Error} If the profile is not defined in settings.qualityProfiles
+ */
+function applyQualityOption(config, profileName) {
+  if (!profileName) return;
+  if (!(profileName in config.settings.qualityProfiles)) {
+    throw new Error(
+      `Unknown quality profile '${profileName}' (known: ${Object.keys(
+        config.settings.qualityProfiles
+      ).join(", ")})`
+    );
+  }
+  config.settings.quality.force = profileName;
+}
+
+/**
+ * Switch the run to the audio library when --audio is given.
+ * @param {Object} config - Loaded configuration
+ * @param {string|boolean|undefined} format - Value of --audio (true without a format)
+ * @throws {Error} If the format is not supported
+ */
+function applyAudioOption(config, format) {
+  if (!format) return;
+  const audioFormat = format === true ? config.settings.audio.format : format;
+  if (!audioFormats.includes(audioFormat)) {
+    throw new Error(
+      `Unsupported audio format '${audioFormat}' (expected: ${audioFormats.join(", ")})`
+    );
+  }
+  config.settings.audio = {
+    ...config.settings.audio,
+    enabled: true,
+    format: audioFormat,
+  };
+}
+
+/**
+ * Initialize the tracking files, using the audio archive in audio mode.
+ * @param {string} baseDir - Base directory for downloads
+ * @param {Object} config - Loaded configuration (after applyAudioOption)
+ * @returns {Promise<Object>} Tracking file paths
+ */
+async function initRunTracking(baseDir, config) {
+  const trackingFiles = await initTracking(baseDir);
+  return config.settings.audio.enabled
+    ? useAudioArchive(trackingFiles)
+    : trackingFiles;
+}
+
+function validateConcurrency(value) {
+  const concurrency = parseInt(value, 10);
+  if (!/^\d+$/.test(value) || concurrency < 1) {
+    throw new Error(
+      `Invalid concurrency: ${value}. Please provide a positive whole number.`
+    );
+  }
+  return concurrency;
+}
+
 async function run() {
   const version = await getVersion();
   const program = new Command();
@@ -53,6 +145,18 @@ async function run() {
       "--check-later",
       "Process videos marked for manual review in check_later.json"
     )
+    .option(
+      "--reprocess-ignored",
+      "Re-check ignored.json with the current conjuntos.json and parser rules"
+    )
+    .option(
+      "--retry-failed",
+      "Retry failed downloads that look transient (network/unknown errors), with backoff"
+    )
+    .option(
+      "--benchmark <file>",
+      "Measure title parse throughput on a titles file (yt-dlp JSON dump, JSON array or one title per line)"
+    )
     .option(
       "-d, --dir <path>",
       "Base directory for downloads and tracking files",
@@ -72,8 +176,468 @@ async function run() {
       "--year <yyyy>",
       "Manually specify the year. For --channel, forces year for all videos. For --video, used as fallback if title parsing fails.", // Updated description
       validateYear // Add validation
+    )
+    .option(
+      "--concurrency <n>",
+      "Number of chosen videos fetched and downloaded at the same time in --channel runs",
+      validateConcurrency,
+      1
+    )
+    .option(
+      "--quality <profile>",
+      "Download every video of this run with the given quality profile (e.g. archive, standard, compact), ignoring quality rules"
+    )
+    .option(
+      "--audio [format]",
+      `Build the audio-only library instead of the video one: extract tagged audio (${audioFormats.join(
+        ", "
+      )}; defaults to settings.audio.format), tracked in its own archive`
     );
 
+  program
+    .command("parse")
+    .description(
+      "Explain how titles are parsed, or check them against a golden-title corpus"
+    )
+    .argument("[titles...]", "Video titles to parse")
+    .option(
+      "-f, --file <file>",
+      "Read titles from a file (yt-dlp JSON dump, JSON array or one title per line)"
+    )
+    .option("--json", "Print the parse results as JSON")
+    .option(
+      "--corpus <file>",
+      "Check the titles of a corpus file against their expected results and report regressions"
+    )
+    .option(
+      "--record <file>",
+      "Write the current parse of the given titles to a corpus file"
+    )
+    .action(async (titles, cmdOptions, command) => {
+      const options = command.optsWithGlobals();
+      // Parser logging would drown the explanations unless asked for
+      logger.level =
+        program.getOptionValueSource("logLevel") === "default"
+          ? "warn"
+          : options.logLevel;
+
+      try {
+        const config = await loadConfig(options.config);
+
+        if (options.corpus) {
+          const entries = await readCorpus(options.corpus);
+          const report = checkCorpus(entries, config);
+          if (options.json) {
+            console.log(JSON.stringify(report, null, 2));
+          } else {
+            console.log("\nCorpus Check Summary:");
+            console.log("-----------------------------");
+            console.log(`Corpus: ${options.corpus}`);
+            console.log(`Titles: ${report.total}`);
+            console.log(`Passed: ${report.passed}`);
+            console.log(`Regressions: ${report.regressions.length}`);
+            for (const regression of report.regressions) {
+              console.log(` -> "${regression.title}"`);
+              for (const { field, expected, actual } of regression.differences) {
+                console.log(
+                  `      ${field}: expected ${JSON.stringify(
+                    expected
+                  )}, got ${JSON.stringify(actual)}`
+                );
+              }
+            }
+            console.log("-----------------------------");
+          }
+          if (report.regressions.length > 0) process.exitCode = 1;
+          return;
+        }
+
+        const allTitles = [...titles];
+        if (options.file) {
+          allTitles.push(...(await readTitlesFile(options.file)));
+        }
+        if (allTitles.length === 0) {
+          throw new Error(
+            "No titles given. Pass titles as arguments, --file <file> or --corpus <file>."
+          );
+        }
+
+        if (options.record) {
+          const entries = allTitles.map((title) =>
+            createCorpusEntry(title, config)
+          );
+          await fs.writeJson(options.record, entries, { spaces: 2 });
+          console.log(
+            `Recorded ${entries.length} title(s) to corpus ${options.record}.`
+          );
+          return;
+        }
+
+        const explanations = allTitles.map((title) =>
+          explainTitle(title, config)
+        );
+        if (options.json) {
+          console.log(JSON.stringify(explanations, null, 2));
+        } else {
+          console.log(explanations.map(formatExplanation).join("\n\n"));
+        }
+      } catch (error) {
+        logger.error("Parse command failed:", {
+          message: error.message,
+          stack: error.stack,
+        });
+        console.error("\nFATAL ERROR:", error.message);
+        process.exit(1);
+      }
+    });
+
+  program
+    .command("suggest")
+    .description(
+      "Suggest new conjuntos from names repeated in ignored.json, and optionally add them"
+    )
+    .option(
+      "--min-videos <n>",
+      "Only suggest names found in at least <n> ignored videos",
+      (value) => parseInt(value, 10)
+    )
+    .option(
+      "--accept <suggestions...>",
+      "Add suggestions (by number or name, optionally as <suggestion>=<Category>) to the config and re-process their ignored videos"
+    )
+    .option("--json", "Print the suggestions as JSON")
+    .action(async (cmdOptions, command) => {
+      const options = command.optsWithGlobals();
+      logger.level =
+        program.getOptionValueSource("logLevel") === "default"
+          ? "warn"
+          : options.logLevel;
+      const baseDir = path.resolve(options.dir);
+
+      try {
+        let config = await loadConfig(options.config);
+        applyAudioOption(config, options.audio);
+        const trackingFiles = await initRunTracking(baseDir, config);
+        const ignoredEntries = await readTrackingJson(
+          trackingFiles.ignoredPath
+        );
+        const suggestions = suggestConjuntos(ignoredEntries, config, {
+          minVideos: options.minVideos,
+        });
+
+        if (!options.accept) {
+          if (options.json) {
+            console.log(JSON.stringify(suggestions, null, 2));
+            return;
+          }
+          console.log(
+            `\nConjunto Suggestions (${suggestions.length} from ${ignoredEntries.length} ignored entries):`
+          );
+          console.log("-----------------------------");
+          suggestions.forEach((suggestion, i) => {
+            const category = suggestion.category
+              ? `${suggestion.category} (from ${suggestion.categorySource}: ${Object.entries(
+                  suggestion.categoryVotes
+                )
+                  .map(([name, votes]) => `${name} ${votes}`)
+                  .join(", ")})`
+              : "unknown";
+            console.log(
+              `${i + 1}. ${suggestion.name} - ${suggestion.videos.length} video(s), category ${category}`
+            );
+            if (suggestion.aliases.length > 0) {
+              console.log(`    Spellings: ${suggestion.aliases.join(", ")}`);
+            }
+            for (const video of suggestion.videos.slice(0, 3)) {
+              console.log(`    - ${video.title}`);
+            }
+          });
+          console.log("-----------------------------");
+          console.log(
+            "Accept with: carnavul suggest --accept <number|name>[=<Category>] ..."
+          );
+          return;
+        }
+
+        const accepted = resolveAcceptedSuggestions(
+          options.accept,
+          suggestions,
+          config
+        );
+        await addSuggestionsToConfig(options.config, accepted);
+        for (const suggestion of accepted) {
+          console.log(
+            `Added ${suggestion.name} to ${suggestion.category} in ${options.config}.`
+          );
+        }
+
+        // Re-run the ignored videos that now match an accepted conjunto
+        logger.level = options.logLevel;
+        config = await loadConfig(options.config);
+        applyQualityOption(config, options.quality);
+        applyAudioOption(config, options.audio);
+        const acceptedNames = new Set(accepted.map((s) => s.name));
+        const ignoredById = new Map(
+          ignoredEntries.map((entry) => [entry.id, entry])
+        );
+        const videos = accepted
+          .flatMap((suggestion) => suggestion.videos)
+          .filter((video) =>
+            acceptedNames.has(
+              parseVideoTitle(video.title, config).conjunto?.name
+            )
+          )
+          .map((video) => ignoredById.get(video.id));
+        const downloadedSet = await getDownloadedSet(
+          trackingFiles.downloadedPath
+        );
+        const results = await reprocessIgnoredVideos(
+          videos,
+          baseDir,
+          trackingFiles,
+          config,
+          downloadedSet,
+          logger
+        );
+        console.log("\nRe-processed Ignored Videos:");
+        console.log("-----------------------------");
+        for (const result of results) {
+          console.log(
+            `${result.status}: ${result.title}${
+              result.reason || result.error
+                ? ` (${result.reason || result.error})`
+                : ""
+            }`
+          );
+        }
+        console.log("-----------------------------");
+      } catch (error) {
+        logger.error("Suggest command failed:", {
+          message: error.message,
+          stack: error.stack,
+        });
+        console.error("\nFATAL ERROR:", error.message);
+        process.exit(1);
+      }
+    });
+
+  program
+    .command("artwork")
+    .description(
+      "Add thumbnails and hand-picked artwork to videos that are already downloaded"
+    )
+    .option(
+      "--offline",
+      "Only copy local artwork; do not fetch missing thumbnails from YouTube"
+    )
+    .action(async (cmdOptions, command) => {
+      const options = command.optsWithGlobals();
+      logger.level =
+        program.getOptionValueSource("logLevel") === "default"
+          ? "warn"
+          : options.logLevel;
+      const baseDir = path.resolve(options.dir);
+
+      try {
+        const config = await loadConfig(options.config);
+        const trackingFiles = await initTracking(baseDir);
+        const stats = await backfillArtwork(
+          baseDir,
+          trackingFiles,
+          config,
+          logger,
+          { offline: options.offline }
+        );
+        console.log("\nArtwork Backfill Summary:");
+        console.log("-----------------------------");
+        console.log(`Videos (NFO files) Checked: ${stats.videos}`);
+        console.log(`Thumbnails Fetched: ${stats.thumbnailsFetched}`);
+        console.log(`NFO Files Updated: ${stats.nfosUpdated}`);
+        console.log(`Failed: ${stats.failed}`);
+        console.log("-----------------------------");
+      } catch (error) {
+        logger.error("Artwork command failed:", {
+          message: error.message,
+          stack: error.stack,
+        });
+        console.error("\nFATAL ERROR:", error.message);
+        process.exit(1);
+      }
+    });
+
+  program
+    .command("nfo")
+    .description(
+      "Rebuild the NFO files of downloaded videos from their .info.json and the current configuration, and validate them"
+    )
+    .option("--dry-run", "Show a diff of the changes instead of writing them")
+    .action(async (cmdOptions, command) => {
+      const options = command.optsWithGlobals();
+      logger.level =
+        program.getOptionValueSource("logLevel") === "default"
+          ? "warn"
+          : options.logLevel;
+      const baseDir = path.resolve(options.dir);
+
+      try {
+        const config = await loadConfig(options.config);
+        const trackingFiles = await initTracking(baseDir);
+        const { stats, changes, invalid } = await regenerateNfos(
+          baseDir,
+          trackingFiles,
+          config,
+          logger,
+          { dryRun: options.dryRun }
+        );
+
+        if (options.dryRun) {
+          for (const { nfoPath, diff } of changes) {
+            console.log(`\n--- ${path.relative(baseDir, nfoPath)}`);
+            for (const line of diff) console.log(line);
+          }
+        }
+        for (const { nfoPath, errors } of invalid) {
+          console.log(
+            `\nInvalid XML in ${path.relative(baseDir, nfoPath)}: ${errors.join(
+              "; "
+            )}`
+          );
+        }
+
+        console.log(
+          `\nNFO Regeneration Summary${options.dryRun ? " (dry run)" : ""}:`
+        );
+        console.log("-----------------------------");
+        console.log(`NFO Files Checked: ${stats.nfos}`);
+        console.log(
+          `${options.dryRun ? "Would Update" : "Updated"}: ${stats.updated}`
+        );
+        console.log(`Unchanged: ${stats.unchanged}`);
+        console.log(`Skipped (no .info.json or unresolved): ${stats.skipped}`);
+        console.log(`Invalid XML Found: ${stats.invalid}`);
+        console.log(`Failed: ${stats.failed}`);
+        console.log("-----------------------------");
+      } catch (error) {
+        logger.error("NFO command failed:", {
+          message: error.message,
+          stack: error.stack,
+        });
+        console.error("\nFATAL ERROR:", error.message);
+        process.exit(1);
+      }
+    });
+
+  program
+    .command("reorganize")
+    .description(
+      "Move downloaded videos (with their NFO, metadata and artwork) to where the current configuration puts them"
+    )
+    .option("--dry-run", "List the moves instead of making them")
+    .option("--resume", "Finish the moves of an interrupted reorganize")
+    .option("--rollback", "Undo the moves of an interrupted reorganize")
+    .action(async (cmdOptions, command) => {
+      const options = command.optsWithGlobals();
+      logger.level =
+        program.getOptionValueSource("logLevel") === "default"
+          ? "warn"
+          : options.logLevel;
+      const baseDir = path.resolve(options.dir);
+
+      try {
+        const trackingFiles = await initTracking(baseDir);
+        if (options.rollback) {
+          const stats = await rollbackReorganize(
+            baseDir,
+            trackingFiles,
+            logger
+          );
+          console.log("\nReorganize Rollback Summary:");
+          console.log("-----------------------------");
+          console.log(`Videos Moved Back: ${stats.restored}`);
+          console.log(`Folders Removed: ${stats.foldersRemoved}`);
+          console.log(`Failed: ${stats.failed}`);
+          console.log("-----------------------------");
+          return;
+        }
+
+        const config = await loadConfig(options.config);
+        if (options.resume) {
+          const stats = await resumeReorganize(
+            baseDir,
+            trackingFiles,
+            config,
+            logger
+          );
+          console.log("\nReorganize Resume Summary:");
+          console.log("-----------------------------");
+          console.log(`Unfinished Videos: ${stats.pending}`);
+          console.log(`Moved: ${stats.moved}`);
+          console.log(`Folders Removed: ${stats.foldersRemoved}`);
+          console.log(
+            `Folders Kept (folder art or tvshow.nfo only): ${stats.foldersKept}`
+          );
+          console.log(`Failed: ${stats.failed}`);
+          console.log("-----------------------------");
+          return;
+        }
+
+        const { stats, entries, conflicts } = await reorganizeLibrary(
+          baseDir,
+          trackingFiles,
+          config,
+          logger,
+          { dryRun: options.dryRun }
+        );
+        if (options.dryRun) {
+          for (const entry of entries) {
+            console.log(`\n${entry.title} (${entry.id})`);
+            for (const move of entry.moves) {
+              console.log(`  ${move.from} -> ${move.to}`);
+            }
+          }
+        }
+        for (const { id, title, reason } of conflicts) {
+          console.log(`\nNot moved: ${title} (${id}): ${reason}`);
+        }
+
+        console.log(
+          `\nReorganize Summary${options.dryRun ? " (dry run)" : ""}:`
+        );
+        console.log("-----------------------------");
+        console.log(`Videos Checked: ${stats.videos}`);
+        console.log(
+          `${options.dryRun ? "Would Move" : "Moved"}: ${
+            options.dryRun ? entries.length : stats.moved
+          }`
+        );
+        console.log(`Already in Place: ${stats.unchanged}`);
+        console.log(
+          `Skipped (unreadable, not in the archive or unresolved): ${stats.skipped}`
+        );
+        console.log(`Conflicts: ${stats.conflicts}`);
+        if (!options.dryRun) {
+          console.log(`Folders Removed: ${stats.foldersRemoved}`);
+          console.log(
+            `Folders Kept (folder art or tvshow.nfo only): ${stats.foldersKept}`
+          );
+          console.log(`Failed: ${stats.failed}`);
+        }
+        console.log("-----------------------------");
+        if (stats.failed > 0) {
+          console.log(
+            "Some videos could not be moved; fix the cause and run `reorganize --resume`, or `reorganize --rollback` to undo the run."
+          );
+        }
+      } catch (error) {
+        logger.error("Reorganize command failed:", {
+          message: error.message,
+          stack: error.stack,
+        });
+        console.error("\nFATAL ERROR:", error.message);
+        process.exit(1);
+      }
+    });
+
   program.action(async (options) => {
     // Set log level based on option
     logger.level = options.logLevel || "info";
@@ -87,9 +651,41 @@ async function run() {
     try {
       // Load configuration
       const config = await loadConfig(options.config);
+      applyQualityOption(config, options.quality);
+      applyAudioOption(config, options.audio);
 
-      // Initialize tracking files
-      const trackingFiles = await initTracking(baseDir);
+      if (options.benchmark) {
+        // Parsing only: no tracking files or downloads involved
+        logger.info(`Action: Parse Benchmark - ${options.benchmark}`);
+        const stats = await runParseBenchmark(
+          options.benchmark,
+          config,
+          logger
+        );
+        console.log("\nParse Benchmark Summary:");
+        console.log("-----------------------------");
+        console.log(`Titles: ${stats.titles}`);
+        console.log(`Index Build Time: ${stats.indexBuildMs} ms`);
+        console.log(
+          `Indexed: ${stats.indexed.ms} ms (${stats.indexed.perSecond} titles/s, ${stats.indexed.matched} matched)`
+        );
+        console.log(
+          `Linear Scan: ${stats.linear.ms} ms (${stats.linear.perSecond} titles/s, ${stats.linear.matched} matched)`
+        );
+        console.log(`Speedup: ${stats.speedup ?? "n/a"}x`);
+        console.log(`Result Mismatches: ${stats.mismatches.length}`);
+        for (const mismatch of stats.mismatches.slice(0, 10)) {
+          console.log(
+            ` -> "${mismatch.title}": indexed=${mismatch.indexed}, linear=${mismatch.linear}`
+          );
+        }
+        console.log("-----------------------------");
+        logger.info("Carnavul Downloader finished.");
+        return;
+      }
+
+      // Initialize tracking files (audio runs use their own archive)
+      const trackingFiles = await initRunTracking(baseDir, config);
 
       // Get set of downloaded videos from archive
       const downloadedSet = await getDownloadedSet(
@@ -117,7 +713,8 @@ async function run() {
           config,
           downloadedSet,
           logger,
-          forcedYear // Pass the forced year
+          forcedYear, // Pass the forced year
+          options.concurrency
         );
         logger.info("Channel processing summary:", stats);
         // Updated Summary Output
@@ -130,6 +727,21 @@ async function run() {
         console.log(
           `Ignored (No Match Year/Conjunto - Collection Pass): ${stats.ignored_no_match}`
         );
+        console.log(
+          `Inferred Year/Conjunto from Metadata (Collection Pass): ${stats.inferred_from_metadata}`
+        );
+        console.log(
+          `Parsed Using Stored Overrides (Collection Pass): ${stats.overrides_applied}`
+        );
+        console.log(
+          `Check Later (Low-Confidence/Ambiguous Conjunto - Collection Pass): ${stats.check_later_low_confidence}`
+        );
+        console.log(
+          `Check Later (Conjunto Not in Roster for Year - Collection Pass): ${stats.check_later_not_in_roster}`
+        );
+        console.log(
+          `Skipped (Permanently Unavailable - Dead List): ${stats.skipped_dead}`
+        );
         console.log(
           `Skipped (Lower Round Priority than Chosen Video): ${stats.skipped_lower_round_than_chosen}` // Renamed stat
         );
@@ -197,9 +809,53 @@ async function run() {
           `Items Skipped (No 'download: true' or invalid): ${stats.incomplete_no_download_flag}`
         );
         console.log("-----------------------------");
+      } else if (options.reprocessIgnored) {
+        logger.info("Action: Re-processing Ignored list");
+        const stats = await processIgnored(
+          baseDir,
+          trackingFiles,
+          config,
+          downloadedSet,
+          logger
+        );
+        console.log("\nIgnored Re-processing Summary:");
+        console.log("-----------------------------");
+        console.log(`Total Items in List: ${stats.total_items}`);
+        console.log(`Now Identified: ${stats.matched}`);
+        console.log(`Re-processed: ${stats.reprocessed}`);
+        console.log(` -> Downloaded/Archived: ${stats.downloaded}`);
+        console.log(` -> Marked for Check Later: ${stats.checkLater}`);
+        console.log(` -> Failed: ${stats.failed}`);
+        console.log(`Still Ignored: ${stats.still_ignored}`);
+        console.log("-----------------------------");
+      } else if (options.retryFailed) {
+        logger.info("Action: Retrying Failed downloads");
+        const stats = await processFailedRetries(
+          baseDir,
+          trackingFiles,
+          config,
+          downloadedSet,
+          logger
+        );
+        console.log("\nFailed Retry Summary:");
+        console.log("-----------------------------");
+        console.log(`Total Items in List: ${stats.total_items}`);
+        console.log(`Retried (Due): ${stats.due}`);
+        console.log(` -> Downloaded/Archived: ${stats.downloaded}`);
+        console.log(` -> Failed Again: ${stats.failed_again}`);
+        console.log(` -> Moved to Dead List: ${stats.moved_to_dead}`);
+        console.log(
+          ` -> No Longer Failed (Ignored/Check Later): ${stats.no_longer_failed}`
+        );
+        console.log(`Waiting for Backoff: ${stats.not_due}`);
+        console.log(`Out of Attempts: ${stats.exhausted}`);
+        console.log(
+          `Not Retryable (Geo/Age/Format - Needs Action): ${stats.not_retryable}`
+        );
+        console.log("-----------------------------");
       } else {
         logger.warn(
-          "No action specified. Use --channel, --video, or --check-later."
+          "No action specified. Use --channel, --video, --check-later, --reprocess-ignored, --retry-failed, --benchmark or the parse/suggest commands."
         );
         program.help(); // Show help text
       }
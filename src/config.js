@@ -1,25 +1,488 @@
 import fs from "fs-extra";
 import path from "path";
 import logger from "./logger.js";
+import { DEFAULT_SETTINGS } from "./defaults.js";
+import { createMatchIndex, tokenize } from "./matcher.js";
+import { audioFormats } from "./audio.js";
+import { layoutModes } from "./layout.js";
+import { namingPlaceholders, getTemplatePlaceholders } from "./naming.js";
+
+// Top-level key of conjuntos.json that holds settings instead of a category
+export const settingsKey = "settings";
+
+/**
+ * Expand a year ("2015", 2015) or an inclusive range ("2010-2014") into years.
+ * @param {string|number} value - Year or range
+ * @param {string} owner - What the years belong to, e.g. "Conjunto 'X'" (for error messages)
+ * @returns {string[]} List of years
+ * @throws {Error} If the value is not a year or a valid range
+ */
+function expandYears(value, owner) {
+  const match = /^\s*(\d{4})\s*(?:-\s*(\d{4})\s*)?$/.exec(String(value));
+  const from = match && parseInt(match[1], 10);
+  const to = match && parseInt(match[2] || match[1], 10);
+  if (!match || to < from) {
+    throw new Error(
+      `${owner} has an invalid year or year range: ${JSON.stringify(
+        value
+      )}`
+    );
+  }
+  const years = [];
+  for (let year = from; year <= to; year++) years.push(String(year));
+  return years;
+}
+
+/**
+ * Build the year -> category table of a conjunto from its `years` entry.
+ * `years` is either a list of years/ranges (competing in the category the
+ * entry is listed under) or an object mapping years/ranges to the category
+ * of that year, for conjuntos that changed category.
+ * @param {Array|Object} years - Raw `years` value
+ * @param {string} name - Conjunto name (for error messages)
+ * @param {string} category - Category the entry is listed under
+ * @returns {Object} { [year]: category }
+ * @throws {Error} If `years` is malformed
+ */
+function buildYearCategories(years, name, category) {
+  const yearCategories = {};
+  if (Array.isArray(years)) {
+    for (const value of years) {
+      for (const year of expandYears(value, `Conjunto '${name}'`)) {
+        yearCategories[year] = category;
+      }
+    }
+  } else if (years && typeof years === "object") {
+    for (const [value, yearCategory] of Object.entries(years)) {
+      if (typeof yearCategory !== "string" || !yearCategory) {
+        throw new Error(
+          `Conjunto '${name}' must map year '${value}' to a category name`
+        );
+      }
+      for (const year of expandYears(value, `Conjunto '${name}'`)) {
+        yearCategories[year] = yearCategory;
+      }
+    }
+  } else {
+    throw new Error(
+      `Conjunto '${name}' must have 'years' as a list of years or an object of year -> category`
+    );
+  }
+  return yearCategories;
+}
+
+/**
+ * Normalize a single conjunto entry from the configuration.
+ * Accepts either a plain string (the name) or an object with a canonical
+ * `name`, an optional list of `aliases` (spelling variants) and optional
+ * `years` it competed in (see buildYearCategories). Entries without `years`
+ * may match any year.
+ * @param {string|Object} entry - Raw conjunto entry from conjuntos.json
+ * @param {string} category - Category the entry belongs to
+ * @returns {Object} Normalized entry { name: string, aliases: string[], yearCategories: Object|null }
+ * @throws {Error} If the entry is not a string or a valid object
+ */
+export function normalizeConjuntoEntry(entry, category = "") {
+  if (typeof entry === "string") {
+    return { name: entry, aliases: [], yearCategories: null };
+  }
+  if (!entry || typeof entry !== "object" || typeof entry.name !== "string") {
+    throw new Error(
+      `Invalid conjunto entry in category '${category}': ${JSON.stringify(
+        entry
+      )}. Expected a string or an object with a 'name'.`
+    );
+  }
+  const aliases = entry.aliases === undefined ? [] : entry.aliases;
+  if (
+    !Array.isArray(aliases) ||
+    aliases.some((alias) => typeof alias !== "string")
+  ) {
+    throw new Error(
+      `Conjunto '${entry.name}' in category '${category}' must have 'aliases' as an array of strings`
+    );
+  }
+  const yearCategories =
+    entry.years === undefined
+      ? null
+      : buildYearCategories(entry.years, entry.name, category);
+  return { ...entry, name: entry.name, aliases, yearCategories };
+}
+
+/**
+ * Get every name a conjunto can be matched by (canonical name first, then aliases).
+ * @param {string|Object} entry - Raw or normalized conjunto entry
+ * @returns {string[]} List of names to match against
+ */
+export function getConjuntoNames(entry) {
+  if (typeof entry === "string") return [entry];
+  return [entry.name, ...(entry.aliases || [])];
+}
+
+/**
+ * Look up a conjunto by its canonical name or any of its aliases.
+ * Comparison ignores case, accents and spacing (via normalizeString).
+ * @param {Object} config - The loaded configuration object
+ * @param {string} name - Name (or alias) to look up
+ * @param {Function} normalize - String normalizer used for comparison
+ * @returns {Object|null} The canonical conjunto { name, category } or null
+ */
+export function findConjuntoByName(config, name, normalize) {
+  if (!name) return null;
+  const wanted = normalize(name);
+  for (const [category, groupList] of Object.entries(config.categories)) {
+    for (const entry of groupList) {
+      const names = getConjuntoNames(entry);
+      if (names.some((candidate) => normalize(candidate) === wanted)) {
+        return { name: names[0], category };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Check a conjunto against the roster of a given year.
+ * Conjuntos with a `years` list only competed in those years, possibly in a
+ * different category each year; the returned conjunto carries the category
+ * of that year.
+ * @param {Object} config - The loaded configuration object
+ * @param {Object} conjunto - Canonical conjunto { name, category }
+ * @param {string|null} year - Contest year
+ * @returns {Object} { conjunto: { name, category }, activeInYear: true|false|null } (null when the conjunto lists no years or the year is unknown)
+ */
+export function resolveConjuntoForYear(config, conjunto, year) {
+  if (!conjunto || !year) return { conjunto, activeInYear: null };
+  for (const groupList of Object.values(config.categories)) {
+    const entry = groupList.find((candidate) => candidate.name === conjunto.name);
+    if (!entry) continue;
+    if (!entry.yearCategories) return { conjunto, activeInYear: null };
+    const yearCategory = entry.yearCategories[String(year)];
+    return yearCategory
+      ? {
+          conjunto: { name: conjunto.name, category: yearCategory },
+          activeInYear: true,
+        }
+      : { conjunto, activeInYear: false };
+  }
+  return { conjunto, activeInYear: null };
+}
+
+/**
+ * Pick the quality profile for a download: the forced profile (--quality)
+ * if any, else the first rule matching the year, category or conjunto,
+ * else the default profile.
+ * @param {Object} config - Loaded configuration
+ * @param {Object} info - Parsed info { year, conjunto }
+ * @returns {Object} Profile { name, format, mergeOutputFormat, rank }
+ */
+export function resolveQualityProfile(config, { year, conjunto }) {
+  const { quality, qualityProfiles } = config.settings;
+  const nameKey = (name) => tokenize(name || "").join("");
+  const rule = quality.force
+    ? null
+    : quality.rules.find(
+        (candidate) =>
+          (!candidate.years || candidate.years.has(String(year))) &&
+          (!candidate.category || candidate.category === conjunto?.category) &&
+          (!candidate.conjunto ||
+            nameKey(candidate.conjunto) === nameKey(conjunto?.name))
+      );
+  const name = quality.force || rule?.profile || quality.defaultProfile;
+  return { name, ...qualityProfiles[name] };
+}
+
+/**
+ * Validate and compile the title format rules.
+ * Rules are sorted by descending priority; rules with equal priority keep
+ * the order in which they were listed.
+ * @param {Array<Object>} rules - Raw rules { id, pattern, flags, priority, fixed }
+ * @returns {Array<Object>} Rules with a compiled `regex` property, in try order
+ * @throws {Error} If a rule is malformed or its pattern does not compile
+ */
+export function compileTitleFormats(rules) {
+  if (!Array.isArray(rules)) {
+    throw new Error("'titleFormats' must be an array of rules");
+  }
+  const compiled = rules.map((rule, index) => {
+    if (!rule || typeof rule.pattern !== "string") {
+      throw new Error(`Title format rule #${index + 1} must have a 'pattern'`);
+    }
+    const id = rule.id || `rule-${index + 1}`;
+    let regex;
+    try {
+      regex = new RegExp(rule.pattern, rule.flags ?? "i");
+    } catch (error) {
+      throw new Error(
+        `Title format rule '${id}' has an invalid pattern: ${error.message}`
+      );
+    }
+    const fixed = rule.fixed || {};
+    if (!/\(\?<name>/.test(rule.pattern) && !fixed.name) {
+      throw new Error(
+        `Title format rule '${id}' needs a 'name' group or a fixed name`
+      );
+    }
+    return {
+      ...rule,
+      id,
+      priority: Number(rule.priority) || 0,
+      fixed,
+      regex,
+      order: index,
+    };
+  });
+  return compiled.sort((a, b) => b.priority - a.priority || a.order - b.order);
+}
+
+/**
+ * Validate the round table and precompute the normalized forms of each
+ * round's name and spelling variants.
+ * @param {Array<Object>} rounds - Raw rounds { name, variants, priority }
+ * @returns {Array<Object>} Rounds with a `matchVariants` list of { joined, tokenCount }
+ * @throws {Error} If a round is malformed
+ */
+export function compileRounds(rounds) {
+  if (!Array.isArray(rounds)) {
+    throw new Error("'rounds' must be an array of round definitions");
+  }
+  return rounds.map((round, index) => {
+    if (!round || typeof round.name !== "string" || !round.name.trim()) {
+      throw new Error(`Round #${index + 1} must have a 'name'`);
+    }
+    const variants = round.variants === undefined ? [] : round.variants;
+    if (
+      !Array.isArray(variants) ||
+      variants.some((variant) => typeof variant !== "string")
+    ) {
+      throw new Error(
+        `Round '${round.name}' must have 'variants' as an array of strings`
+      );
+    }
+    if (typeof round.priority !== "number") {
+      throw new Error(`Round '${round.name}' must have a numeric 'priority'`);
+    }
+    const matchVariants = [round.name, ...variants]
+      .map((variant) => tokenize(variant))
+      .filter((tokens) => tokens.length > 0)
+      .map((tokens) => ({ joined: tokens.join(""), tokenCount: tokens.length }));
+    return { ...round, variants, matchVariants };
+  });
+}
+
+/**
+ * Validate the title keyword groups (skip or route to an extras section).
+ * @param {Array<Object>} groups - Raw groups { id, label, keywords, action, folder, genre }
+ * @returns {Array<Object>} Groups with `label` and `genre` defaulted
+ * @throws {Error} If a group is malformed
+ */
+export function compileKeywordGroups(groups) {
+  if (!Array.isArray(groups)) {
+    throw new Error("'keywordGroups' must be an array of keyword groups");
+  }
+  return groups.map((group, index) => {
+    const id = group?.id || `group-${index + 1}`;
+    if (
+      !Array.isArray(group?.keywords) ||
+      group.keywords.length === 0 ||
+      group.keywords.some((keyword) => typeof keyword !== "string")
+    ) {
+      throw new Error(
+        `Keyword group '${id}' must have 'keywords' as a non-empty array of strings`
+      );
+    }
+    const action = group.action || "skip";
+    if (!["skip", "extra"].includes(action)) {
+      throw new Error(
+        `Keyword group '${id}' has unknown action '${action}' (expected 'skip' or 'extra')`
+      );
+    }
+    if (action === "extra" && typeof group.folder !== "string") {
+      throw new Error(`Keyword group '${id}' routes extras and needs a 'folder'`);
+    }
+    const label = group.label || id;
+    return { ...group, id, label, action, genre: group.genre || label };
+  });
+}
+
+/**
+ * Validate the download quality profiles and the rules choosing them.
+ * Rule years are expanded into a set (see expandYears).
+ * @param {Object} quality - Raw quality settings { defaultProfile, force, rules }
+ * @param {Object} profiles - Raw profiles { [name]: { format, mergeOutputFormat, rank } }
+ * @returns {Object} Quality settings with compiled rules
+ * @throws {Error} If a profile or rule is malformed or names an unknown profile
+ */
+export function compileQuality(quality, profiles) {
+  for (const [name, profile] of Object.entries(profiles || {})) {
+    if (typeof profile?.format !== "string" || !profile.format) {
+      throw new Error(`Quality profile '${name}' must have a 'format' string`);
+    }
+    if (typeof profile.rank !== "number") {
+      throw new Error(`Quality profile '${name}' must have a numeric 'rank'`);
+    }
+  }
+  const checkProfile = (name, where) => {
+    if (!(name in profiles)) {
+      throw new Error(
+        `${where} names unknown quality profile '${name}' (known: ${Object.keys(
+          profiles
+        ).join(", ")})`
+      );
+    }
+  };
+  checkProfile(quality.defaultProfile, "'quality.defaultProfile'");
+  if (quality.force) checkProfile(quality.force, "'quality.force'");
+  if (!Array.isArray(quality.rules)) {
+    throw new Error("'quality.rules' must be an array of rules");
+  }
+  const rules = quality.rules.map((rule, index) => {
+    const where = `Quality rule #${index + 1}`;
+    checkProfile(rule?.profile, where);
+    if (!rule.years && !rule.category && !rule.conjunto) {
+      throw new Error(`${where} must match 'years', a 'category' or a 'conjunto'`);
+    }
+    const years = rule.years
+      ? new Set(
+          [].concat(rule.years).flatMap((value) => expandYears(value, where))
+        )
+      : null;
+    return { ...rule, years };
+  });
+  return { ...quality, rules };
+}
+
+/**
+ * Validate the naming templates and sanitization policy.
+ * @param {Object} naming - Raw naming settings (see DEFAULT_SETTINGS.naming)
+ * @returns {Object} The naming settings
+ * @throws {Error} If a template is malformed or the policy is invalid
+ */
+export function compileNaming(naming) {
+  const common = namingPlaceholders.filter(
+    (name) => name !== "episode" && name !== "extra"
+  );
+  // Template keys and the placeholders each accepts
+  const templates = {
+    folder: common,
+    file: common,
+    showFolder: [...common, "episode"],
+    episodeFile: [...common, "episode"],
+    extraFile: [...common, "extra"],
+  };
+  for (const [key, allowed] of Object.entries(templates)) {
+    const template = naming[key];
+    if (typeof template !== "string" || !template.trim()) {
+      throw new Error(`'naming.${key}' must be a non-empty string`);
+    }
+    if (!key.toLowerCase().endsWith("folder") && template.includes("/")) {
+      throw new Error(`'naming.${key}' is a file name and cannot contain "/"`);
+    }
+    const unknown = getTemplatePlaceholders(template).filter(
+      (name) => !allowed.includes(name)
+    );
+    if (unknown.length > 0) {
+      throw new Error(
+        `'naming.${key}' uses unknown placeholder(s) ${unknown
+          .map((name) => `{${name}}`)
+          .join(", ")} (known: ${allowed
+          .map((name) => `{${name}}`)
+          .join(", ")})`
+      );
+    }
+  }
+  const { replacements, maxLength } = naming;
+  if (
+    !replacements ||
+    typeof replacements !== "object" ||
+    Object.entries(replacements).some(
+      ([char, value]) =>
+        Array.from(char).length !== 1 ||
+        typeof value !== "string" ||
+        /[\\/]/.test(value)
+    )
+  ) {
+    throw new Error(
+      "'naming.replacements' must map single characters to strings without path separators"
+    );
+  }
+  if (maxLength !== null && !(Number.isInteger(maxLength) && maxLength >= 20)) {
+    throw new Error(
+      "'naming.maxLength' must be an integer of at least 20, or null"
+    );
+  }
+  return naming;
+}
+
+/**
+ * Merge user settings over the built-in defaults and compile what needs it.
+ * @param {Object} userSettings - The "settings" object from conjuntos.json (optional)
+ * @returns {Object} Effective settings
+ */
+export function buildSettings(userSettings = {}) {
+  if (!userSettings || typeof userSettings !== "object") {
+    throw new Error(`'${settingsKey}' must be an object`);
+  }
+  const settings = { ...DEFAULT_SETTINGS, ...userSettings };
+  // Object-valued settings are merged one level deep so a single key can be overridden
+  for (const [key, defaultValue] of Object.entries(DEFAULT_SETTINGS)) {
+    if (
+      defaultValue &&
+      typeof defaultValue === "object" &&
+      !Array.isArray(defaultValue) &&
+      userSettings[key] &&
+      typeof userSettings[key] === "object"
+    ) {
+      settings[key] = { ...defaultValue, ...userSettings[key] };
+    }
+  }
+  settings.titleFormats = compileTitleFormats(settings.titleFormats);
+  settings.rounds = compileRounds(settings.rounds);
+  settings.keywordGroups = compileKeywordGroups(settings.keywordGroups);
+  settings.quality = compileQuality(settings.quality, settings.qualityProfiles);
+  settings.naming = compileNaming(settings.naming);
+  if (!audioFormats.includes(settings.audio.format)) {
+    throw new Error(
+      `'audio.format' must be one of ${audioFormats.join(", ")}`
+    );
+  }
+  if (!layoutModes.includes(settings.layout.mode)) {
+    throw new Error(`'layout.mode' must be one of ${layoutModes.join(", ")}`);
+  }
+  if (!(settings.nfo.mediaCenter in settings.nfo.mediaCenters)) {
+    throw new Error(
+      `'nfo.mediaCenter' must be one of ${Object.keys(
+        settings.nfo.mediaCenters
+      ).join(", ")}`
+    );
+  }
+  return settings;
+}
 
 /**
  * Loads and validates the configuration file
  * @param {string} configPath - Path to the configuration file
- * @returns {Promise<Object>} The loaded configuration object
+ * @returns {Promise<Object>} The loaded configuration { categories, settings, matchIndex }
  * @throws {Error} If the file cannot be read or validation fails
  */
 export async function loadConfig(configPath = "conjuntos.json") {
   try {
     logger.info(`Loading configuration from ${configPath}...`);
-    const config = await fs.readJson(path.join(process.cwd(), configPath));
+    const rawConfig = await fs.readJson(path.join(process.cwd(), configPath));
 
     // Basic validation
-    if (!config || typeof config !== "object") {
+    if (!rawConfig || typeof rawConfig !== "object") {
       throw new Error("Configuration must be a valid JSON object");
     }
 
+    const { [settingsKey]: userSettings, ...roster } = rawConfig;
+    const config = {
+      categories: {},
+      settings: buildSettings(userSettings),
+    };
+
     // Check if it has at least one category with an array of conjuntos
-    const categories = Object.entries(config);
+    const categories = Object.entries(roster);
     if (categories.length === 0) {
       throw new Error("Configuration must contain at least one category");
     }
@@ -33,10 +496,43 @@ export async function loadConfig(configPath = "conjuntos.json") {
       if (conjuntos.length === 0) {
         logger.warn(`Category '${category}' has no conjuntos defined`);
       }
+      // Plain strings and { name, aliases } objects are both accepted
+      config.categories[category] = conjuntos.map((entry) =>
+        normalizeConjuntoEntry(entry, category)
+      );
+    }
+
+    // Year categories must name a category of the roster (catches typos)
+    for (const groupList of Object.values(config.categories)) {
+      for (const entry of groupList) {
+        for (const [year, yearCategory] of Object.entries(
+          entry.yearCategories || {}
+        )) {
+          if (!(yearCategory in config.categories)) {
+            throw new Error(
+              `Conjunto '${entry.name}' lists unknown category '${yearCategory}' for ${year}`
+            );
+          }
+        }
+      }
     }
 
+    config.settings.quality.rules.forEach((rule, index) => {
+      if (rule.category && !(rule.category in config.categories)) {
+        throw new Error(
+          `Quality rule #${index + 1} names unknown category '${rule.category}'`
+        );
+      }
+    });
+
+    // Built once per run; every title parse looks names up through it
+    config.matchIndex = createMatchIndex(
+      config.categories,
+      config.settings.matching
+    );
+
     logger.info(
-      `Configuration loaded successfully. Found ${categories.length} categories`
+      `Configuration loaded successfully. Found ${categories.length} categories and ${config.settings.titleFormats.length} title format rules`
     );
     return config;
   } catch (error) {
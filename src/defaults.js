@@ -0,0 +1,328 @@
+/**
+ * Built-in settings used when conjuntos.json does not provide its own.
+ * Anything under the optional top-level "settings" key of the configuration
+ * file replaces the matching entry below.
+ */
+export const DEFAULT_SETTINGS = {
+  /**
+   * Conjunto matching. `threshold` is the minimum similarity for a name to
+   * match at all; parses below `minConfidence`, or with a runner-up within
+   * `ambiguityMargin` of the best score, are sent to check_later by
+   * processChannel. `maxCandidates` limits the candidates kept per parse;
+   * names scoring below `candidateFloor` are not reported as candidates.
+   */
+  matching: {
+    threshold: 0.85,
+    candidateFloor: 0.7,
+    minConfidence: 0.9,
+    ambiguityMargin: 0.05,
+    maxCandidates: 5,
+  },
+
+  /**
+   * Title keyword groups. A title containing one of a group's `keywords` is
+   * either skipped (`action: "skip"`) or routed to its own library section
+   * (`action: "extra"`): it is kept out of the contest round selection and
+   * stored under `folder` with `genre` in the NFO. `folder` is a naming
+   * template (see `naming`). Extras need a year but no conjunto. The
+   * default groups are skipped; their `folder` and `genre` are used once a
+   * group is switched to "extra".
+   */
+  keywordGroups: [
+    {
+      id: "llamadas",
+      label: "Llamadas",
+      keywords: ["Llamadas"],
+      action: "skip",
+      folder: "{year}/Extras/Llamadas",
+      genre: "Llamadas",
+    },
+    {
+      id: "desfile",
+      label: "Desfile",
+      keywords: ["Desfile"],
+      action: "skip",
+      folder: "{year}/Extras/Desfile",
+      genre: "Desfile",
+    },
+    {
+      id: "prueba-de-admision",
+      label: "Prueba de Admisión",
+      keywords: ["Prueba de Admisión"],
+      action: "skip",
+      folder: "{year}/Extras/Prueba de Admision",
+      genre: "Prueba de Admisión",
+    },
+    {
+      id: "primer-premio",
+      label: "Primer Premio",
+      keywords: ["Primer Premio"],
+      action: "skip",
+    },
+  ],
+
+  /**
+   * Download quality profiles: the yt-dlp `format`, the container the
+   * streams are merged into (`mergeOutputFormat`) and a `rank` (higher is
+   * better), so files downloaded below the profile that applies now can be
+   * found later. The profile used is recorded in the NFO.
+   */
+  qualityProfiles: {
+    archive: {
+      format: "bestvideo+bestaudio/best",
+      mergeOutputFormat: "mkv",
+      rank: 3,
+    },
+    standard: {
+      format:
+        "bestvideo[height<=1080][ext=mp4]+bestaudio[ext=m4a]/best[height<=1080][ext=mp4]/best",
+      mergeOutputFormat: "mp4",
+      rank: 2,
+    },
+    compact: {
+      format:
+        "bestvideo[height<=480][ext=mp4]+bestaudio[ext=m4a]/best[height<=480][ext=mp4]/best[height<=480]/worst",
+      mergeOutputFormat: "mp4",
+      rank: 1,
+    },
+  },
+
+  /**
+   * Which quality profile a download uses. `rules` are tried in order and
+   * match on `years` (years or ranges), `category` and/or `conjunto`; the
+   * first match wins, otherwise `defaultProfile` applies. `force` (set by
+   * --quality) uses one profile for everything.
+   */
+  quality: {
+    defaultProfile: "standard",
+    force: null,
+    rules: [],
+  },
+
+  /**
+   * Chapters from yt-dlp's chapters field or, failing that, a timestamp list
+   * in the description. They are embedded in the file and stored in
+   * <name>.chapters.json; each chapter is tagged with the murga segment
+   * whose `keywords` its title contains.
+   */
+  chapters: {
+    enabled: true,
+    segments: [
+      {
+        id: "presentacion",
+        label: "Presentación",
+        keywords: ["Presentación", "Saludo"],
+      },
+      {
+        id: "salpicon",
+        label: "Salpicón",
+        keywords: ["Salpicón"],
+      },
+      {
+        id: "cuple",
+        label: "Cuplé",
+        keywords: ["Cuplé", "Cuplés"],
+      },
+      {
+        id: "popurri",
+        label: "Popurrí",
+        keywords: ["Popurrí", "Potpurrí"],
+      },
+      {
+        id: "retirada",
+        label: "Retirada",
+        keywords: ["Retirada", "Despedida"],
+      },
+    ],
+  },
+
+  /**
+   * Library layout of contest videos. "movies": <year>/<category>/ with one
+   * movie per video. "tvshows": <Category>/<Conjunto>/Season <Year>/ with
+   * each conjunto a show (tvshow.nfo), each year a season and each round an
+   * episode numbered by its place in `rounds` (or the etapa when the round
+   * is unknown). Extras and the audio library keep their own folders.
+   */
+  layout: {
+    mode: "movies",
+  },
+
+  /**
+   * File and folder names. Templates take {year}, {category}, {conjunto},
+   * {round}, {etapa} and {id} (YouTube ID), plus {episode} in `episodeFile`
+   * and {extra} in `extraFile`; "/" separates folders and a part in angle
+   * brackets is dropped when a placeholder in it has no value. Names are
+   * then sanitized: characters in `replacements` are swapped (the defaults
+   * cover what SMB shares and exFAT reject), `transliterate` strips accents
+   * and other non-ASCII characters, and each file or folder name is cut to
+   * `maxLength` characters.
+   */
+  naming: {
+    folder: "{year}/{category}",
+    file: "{conjunto} {year}< - {round}>",
+    showFolder: "{category}/{conjunto}/Season {year}",
+    episodeFile: "{conjunto} - S{year}E{episode}< - {round}>",
+    extraFile: "{conjunto} {year} - {extra}",
+    replacements: {
+      "/": "-",
+      "\\": "-",
+      ":": " -",
+      "*": "",
+      "?": "",
+      '"': "'",
+      "<": "",
+      ">": "",
+      "|": "-",
+    },
+    transliterate: false,
+    maxLength: 120,
+  },
+
+  /**
+   * Optional NFO elements: the conjunto as a collection (`set`, grouping all
+   * its years), `premiered` (release or upload date, when it falls in the
+   * contest year), `studio` (uploading channel), `tags` (category, round and
+   * etapa), `runtime`, `sourceUrl` (<website>) and `ratings` (when YouTube
+   * reports one). `mediaCenter` selects from `mediaCenters` how the set and
+   * rating are written, since Kodi and Jellyfin read them differently.
+   */
+  nfo: {
+    mediaCenter: "kodi",
+    mediaCenters: {
+      kodi: { setStyle: "nested", ratingStyle: "ratings" },
+      jellyfin: { setStyle: "text", ratingStyle: "rating" },
+    },
+    set: true,
+    premiered: true,
+    studio: true,
+    tags: true,
+    runtime: true,
+    sourceUrl: true,
+    ratings: true,
+  },
+
+  /**
+   * Kodi artwork. With `thumbnails` on, each video's thumbnail is saved as
+   * <name>-thumb.jpg and reused as its poster and fanart. `directory` holds
+   * hand-picked art: conjuntos/<Conjunto>/ (used for all its years) and
+   * categories/<Category>/ (copied as folder art), each with poster, fanart
+   * and/or clearlogo images.
+   */
+  artwork: {
+    thumbnails: true,
+    directory: null,
+  },
+
+  /**
+   * Audio-only library (--audio). Audio is extracted to `format` (m4a, opus
+   * or mp3) with music tags and cover art, and tracked in its own archive so
+   * audio and video copies can coexist. `folder` and `extrasFolder` are
+   * naming templates (see `naming`); {extra} is the keyword group label.
+   */
+  audio: {
+    enabled: false,
+    format: "m4a",
+    folder: "Audio/{category}/{conjunto}/{conjunto} {year}",
+    extrasFolder: "Audio/Extras/{extra}/{year}",
+  },
+
+  /**
+   * Retrying failed downloads (--retry-failed). Only network and unknown
+   * failures are retried; the wait before retry n is
+   * `baseDelayMinutes` * 2^(n-1), and a video is given up after
+   * `maxAttempts` attempts in total.
+   */
+  retry: {
+    maxAttempts: 5,
+    baseDelayMinutes: 15,
+  },
+
+  /**
+   * Fallback when a title lacks the year or conjunto: infer them from the
+   * yt-dlp description, tags and upload date. Uploads within
+   * `seasonMonths` (1-12) are taken to belong to that year's carnival.
+   * Channel runs only fetch the metadata of partly identified titles, and
+   * cache it in .tracking/metadata_cache.json.
+   */
+  metadataInference: {
+    enabled: true,
+    seasonMonths: [1, 2, 3],
+  },
+
+  /**
+   * Conjunto suggestions mined from ignored.json (suggest command). Names
+   * found in fewer than `minVideos` ignored videos are not suggested. The
+   * category is guessed from title words: each category's own name (plural
+   * or singular) and its `categoryHints`.
+   */
+  suggestions: {
+    minVideos: 2,
+    categoryHints: {
+      Lubolos: ["Comparsa", "Candombe"],
+    },
+  },
+
+  /**
+   * Round taxonomy shared by the parser and the highest-round selection.
+   * `name` is the canonical name used in file names; titles are matched
+   * against the name and its `variants` as whole words. When a channel has
+   * several videos of the same conjunto and year, the highest `priority` wins.
+   */
+  rounds: [
+    { name: "Tablado", variants: ["Tablados"], priority: 1 },
+    { name: "Teatro de Verano", variants: ["Teatro Verano"], priority: 2 },
+    {
+      name: "Primera Rueda",
+      variants: ["1ra Rueda", "1era Rueda", "1a Rueda", "1er Rueda"],
+      priority: 10,
+    },
+    {
+      name: "Segunda Rueda",
+      variants: ["2da Rueda", "2a Rueda"],
+      priority: 20,
+    },
+    {
+      name: "Tercera Rueda",
+      variants: ["3ra Rueda", "3era Rueda", "3a Rueda"],
+      priority: 30,
+    },
+    { name: "Liguilla", variants: [], priority: 40 },
+    {
+      name: "Final",
+      variants: ["Gran Final", "Final del Concurso"],
+      priority: 50,
+    },
+  ],
+
+  /**
+   * Title format rules, tried in priority order (highest first) before the
+   * general fallback. Each pattern may use the named groups `year`, `etapa`,
+   * `name` and `round`; `fixed` supplies values the title does not contain.
+   */
+  titleFormats: [
+    {
+      id: "etapa-year-name-round",
+      description: "X Etapa YYYY - Name - Round",
+      pattern:
+        "(?<etapa>\\d+(?:ta|ma|ra|da))?\\s*Etapa\\s*(?<year>\\d{4})\\s*-\\s*(?<name>.+?)\\s*-\\s*(?<round>.+)",
+      flags: "i",
+      priority: 30,
+    },
+    {
+      id: "etapa-name-round",
+      description: "X Etapa - Name - Round (year missing)",
+      pattern:
+        "(?<etapa>\\d+(?:ta|ma|ra|da))\\s*Etapa\\s*-\\s*(?<name>.+?)\\s*-\\s*(?<round>.+)",
+      flags: "i",
+      priority: 20,
+    },
+    {
+      id: "2015-liguilla",
+      description: "2015 Liguilla: XA ETAPA NAME LIGUILLA",
+      pattern: "^(?<etapa>[1-6])\\s?A?\\s?ETAPA\\s+(?<name>.+?)\\s+LIGUILLA$",
+      flags: "i",
+      priority: 10,
+      fixed: { year: "2015", round: "Liguilla" },
+    },
+  ],
+};
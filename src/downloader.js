@@ -1,10 +1,17 @@
-import { execSync } from "child_process"; // Import execSync
 import fs from "fs-extra";
 import path from "path";
-import dayjs from "dayjs";
 import logger from "./logger.js";
+import { buildAudioArgs } from "./audio.js";
+import { runYtDlp, getVideoLogPath } from "./ytdlp.js";
+import { writeChapters } from "./chapters.js";
+import { setProgressLine, removeProgressLine } from "./progress.js";
+import {
+  getThumbnailArgs,
+  writeVideoArtwork,
+  writeFolderArtwork,
+} from "./artwork.js";
+import { generateNfoContent, generateTvShowNfo } from "./nfo.js";
 
-// ... shouldDownload function (no changes needed) ...
 export function shouldDownload(videoInfo, parsedInfo, logger) {
   // Ensure videoInfo and parsedInfo are valid objects
   if (!videoInfo || typeof videoInfo !== "object") {
@@ -44,6 +51,13 @@ export function shouldDownload(videoInfo, parsedInfo, logger) {
     .normalize("NFD")
     .replace(/[\u0300-\u036f]/g, "");
 
+  if (parsedInfo.extra) {
+    logger.info(
+      `Video ${videoId} belongs to extras section '${parsedInfo.extra.label}', will download.`
+    );
+    return { download: true, reason: `Extra (${parsedInfo.extra.label})` };
+  }
+
   if (parsedInfo.isAlternativeFormat && parsedInfo.round) {
     logger.info(
       `Video ${videoId} is a competition round ('${parsedInfo.round}'), will download.`
@@ -90,74 +104,52 @@ export function shouldDownload(videoInfo, parsedInfo, logger) {
   return { download: true, reason: "Duration > 30 min and not a resumen" };
 }
 
-// ... generateNfoContent function (no changes needed) ...
-export function generateNfoContent(videoInfo, conjunto, year, round = null) {
-  const safeConjunto = conjunto || { name: "Unknown", category: "Unknown" };
-  const safeYear = year || "Unknown Year";
-  const safeVideoInfo = videoInfo || {
-    title: "Unknown Title",
-    description: "",
-    id: "Unknown ID",
-  };
-
-  const title = round
-    ? `${safeConjunto.name} ${safeYear} - ${round}`
-    : `${safeConjunto.name} ${safeYear}`;
+// Progress is logged at every this many percent
+const progressLogStep = 10;
 
-  const escapeXml = (unsafe) => {
-    const str =
-      unsafe === null || typeof unsafe === "undefined" ? "" : String(unsafe);
-    return str.replace(/[<>&'"]/g, (c) => {
-      switch (c) {
-        case "<":
-          return "<";
-        case ">":
-          return ">";
-        case "&":
-          return "&";
-        case "'":
-          return "&apos;";
-        case '"':
-          return "";
-        default:
-          return c;
+/**
+ * Build the progress handler of a download: logs every progressLogStep
+ * percent and, on a terminal, keeps the download's line of the progress
+ * block up to date.
+ * @param {string} videoId - Video ID
+ * @param {Object} logger - Logger instance
+ * @returns {Object} { update(event), finish() }
+ */
+function createProgressReporter(videoId, logger) {
+  let nextLogPercent = progressLogStep;
+  return {
+    update({ percent, total, speed, eta }) {
+      const text = `${videoId}: ${percent.toFixed(1)}%${
+        total ? ` of ${total}` : ""
+      }${speed ? ` at ${speed}` : ""}${eta ? ` ETA ${eta}` : ""}`;
+      setProgressLine(videoId, text);
+      if (percent >= nextLogPercent) {
+        logger.debug(`Download progress ${text}`);
+        nextLogPercent =
+          (Math.floor(percent / progressLogStep) + 1) * progressLogStep;
       }
-    });
+    },
+    finish() {
+      removeProgressLine(videoId);
+    },
   };
-
-  const originalTitle = safeVideoInfo.title;
-  const description = safeVideoInfo.description;
-  const videoId = safeVideoInfo.id;
-
-  return `<?xml version="1.0" encoding="UTF-8" standalone="yes" ?>
-<movie>
-    <title>${escapeXml(title)}</title>
-    <originaltitle>${escapeXml(originalTitle)}</originaltitle>
-    <sorttitle>${escapeXml(safeConjunto.name)} ${escapeXml(safeYear)}${
-    round ? ` ${escapeXml(round)}` : ""
-  }</sorttitle>
-    <year>${escapeXml(safeYear)}</year>
-    <genre>Carnival</genre>
-    <genre>${escapeXml(safeConjunto.category)}</genre>
-    ${round ? `<genre>${escapeXml(round)}</genre>` : ""}
-    <plot>${escapeXml(description)}</plot>
-    <source>YouTube</source>
-    <id>${escapeXml(videoId)}</id>
-    <uniqueid type="YouTube" default="true">${escapeXml(videoId)}</uniqueid>
-    <dateadded>${dayjs().format()}</dateadded>
-</movie>`;
 }
 
 /**
- * Download a video using yt-dlp (Reverted to execSync)
+ * Download a video using yt-dlp
  * @param {string} videoUrl - URL of the video to download
  * @param {string} videoIdParam - Video ID passed as parameter
  * @param {string} outputDir - Directory to save the video
  * @param {string} baseFilename - Base filename for the video and NFO files
- * @param {Object} nfoData - Data for NFO file generation { videoInfo, conjunto, year, round }
+ * @param {Object} nfoData - Data for NFO file generation { videoInfo, conjunto, year, round, extra, etapa, quality, artwork, chapters, nfo, audio, episode }
+ *   (`quality` is the profile from resolveQualityProfile; `artwork` is { thumbnails, directory };
+ *   `chapters` and `nfo` are settings.chapters and settings.nfo;
+ *   `episode` (from getEpisodeInfo) files the video as a TV episode with a tvshow.nfo one folder up;
+ *   `audio` { format, tags } switches to an audio-only download without NFO or artwork)
  * @param {string} downloadedArchivePath - Path to the yt-dlp download archive file
  * @param {Object} logger - Logger instance
- * @returns {Promise<boolean>} True if download was successful or NFO generated
+ * @returns {Promise<void>} Resolves once the video is downloaded (artwork, chapters and NFO failures are only logged)
+ * @throws {Error} If yt-dlp cannot be started or fails (the message carries its ERROR lines)
  */
 export async function downloadVideo( // Make async for NFO write
   videoUrl,
@@ -169,14 +161,18 @@ export async function downloadVideo( // Make async for NFO write
   logger
 ) {
   // Validation Logic (Keep from previous version)
-  if (!nfoData || !nfoData.videoInfo || !nfoData.conjunto || !nfoData.year) {
+  if (
+    !nfoData ||
+    !nfoData.videoInfo ||
+    (!nfoData.conjunto && !nfoData.extra) ||
+    !nfoData.year
+  ) {
     logger.error(
       `[downloadVideo] Missing essential nfoData components for video URL ${videoUrl}`,
       {
         /*...*/
       }
     );
-    // Since execSync is sync, we can't easily reject a promise here. Throw error instead.
     throw new Error(
       `Missing essential NFO data components for video URL ${videoUrl}`
     );
@@ -203,84 +199,154 @@ export async function downloadVideo( // Make async for NFO write
       nfoData.videoInfo.title || "Unknown Title"
     }`
   );
-  logger.info(`(yt-dlp output follows directly below)`);
+  const logPath = getVideoLogPath(downloadedArchivePath, videoId);
+  logger.info(`yt-dlp output is written to ${logPath}`);
 
-  const outputTemplate = path.join(outputDir, baseFilename + ".%(ext)s");
+  const { quality, audio, artwork, chapters, episode } = nfoData;
+  // Audio-only downloads get music tags and cover art instead of a video format
+  const formatArgs = audio
+    ? buildAudioArgs(audio.format, audio.tags)
+    : [
+        "--format",
+        quality.format,
+        ...(quality.mergeOutputFormat
+          ? ["--merge-output-format", quality.mergeOutputFormat]
+          : []),
+        "--write-info-json",
+        ...(artwork.thumbnails ? getThumbnailArgs(outputDir, baseFilename) : []),
+      ];
+  if (chapters.enabled) {
+    formatArgs.push("--embed-chapters");
+  }
+  logger.info(
+    audio
+      ? `Extracting ${audio.format} audio for ${videoId}`
+      : `Using quality profile '${quality.name}' for ${videoId}`
+  );
 
-  // Construct the command string, ensuring proper quoting
-  // Use single quotes for the main command parts and double quotes inside if needed by shell
-  // Or rely on execSync handling arguments if passed as an array (safer)
-  // Let's build the command string carefully, similar to the old code:
-  const commandParts = [
-    "yt-dlp",
-    `"${videoUrl}"`, // Quote URL
-    "--format",
-    // Quote format string
-    `"bestvideo[height<=1080][ext=mp4]+bestaudio[ext=m4a]/best[height<=1080][ext=mp4]/best"`,
+  const outputTemplate = path.join(outputDir, baseFilename + ".%(ext)s");
+  const args = [
+    videoUrl,
+    ...formatArgs,
     "--output",
-    `"${outputTemplate}"`, // Quote output template
-    "--write-info-json",
+    outputTemplate,
     "--no-write-playlist-metafiles",
-    // Ensure --no-progress is NOT included
-    "--verbose", // Keep verbose for direct output
+    "--newline", // One progress line per update
+    "--verbose", // Kept in the per-video log
     "--download-archive",
-    `"${downloadedArchivePath}"`, // Quote archive path
+    downloadedArchivePath,
     "--retries",
     "3",
     "--fragment-retries",
     "3",
   ];
-  const command = commandParts.join(" ");
-
-  logger.debug(`Executing yt-dlp command: ${command}`);
+  logger.debug(`Executing yt-dlp with arguments: ${JSON.stringify(args)}`);
 
+  const progress = createProgressReporter(videoId, logger);
+  let result;
   try {
-    // Execute synchronously, inheriting stdio
-    execSync(command, { stdio: "inherit", encoding: "utf-8" });
-    // If execSync doesn't throw, yt-dlp exited with code 0 (success or already archived)
-    console.log(""); // Add newline after yt-dlp finishes
-    logger.info(
-      `yt-dlp process for ${videoId} finished successfully (exit code 0).`
+    result = await runYtDlp(args, {
+      logPath,
+      onProgress: (event) => progress.update(event),
+    });
+  } catch (spawnError) {
+    throw new Error(`Could not start yt-dlp: ${spawnError.message}`);
+  } finally {
+    progress.finish();
+  }
+
+  if (result.exitCode !== 0) {
+    logger.error(
+      `yt-dlp process for ${videoId} failed (exit code ${result.exitCode}). See ${logPath}`
     );
+    throw new Error(
+      `yt-dlp exited with code ${result.exitCode}: ${result.errorLines.join(" | ")}`
+    );
+  }
+  logger.info(
+    `yt-dlp process for ${videoId} finished successfully (exit code 0).`
+  );
 
-    // Generate and save NFO file (this part needs to remain async)
+  // A video without chapters is still complete, so failures only warn
+  if (chapters.enabled) {
     try {
-      const nfoPath = path.join(outputDir, baseFilename + ".nfo");
-      if (!(await fs.pathExists(nfoPath))) {
-        const nfoContent = generateNfoContent(
-          nfoData.videoInfo,
-          nfoData.conjunto,
-          nfoData.year,
-          nfoData.round
-        );
-        await fs.writeFile(nfoPath, nfoContent);
-        logger.info(`Created NFO file for ${videoId} at ${nfoPath}`);
-      } else {
-        logger.debug(`NFO file already exists for ${videoId} at ${nfoPath}`);
-      }
-      return true; // Indicate overall success
-    } catch (nfoError) {
-      logger.error(
-        `Failed to write NFO file for ${videoId} after successful download`,
-        {
-          nfoPath: path.join(outputDir, baseFilename + ".nfo"),
-          error: nfoError.message,
-          stack: nfoError.stack,
-        }
+      await writeChapters(
+        { outputDir, baseFilename, videoInfo: nfoData.videoInfo, logPath },
+        chapters,
+        logger
       );
-      return true; // Still return true as download was ok, NFO is secondary
+    } catch (chapterError) {
+      logger.warn(`Failed to write chapters for ${videoId}`, {
+        error: chapterError.message,
+      });
     }
-  } catch (error) {
-    // execSync throws an error if the command fails (non-zero exit code)
-    console.log(""); // Add newline after yt-dlp finishes (even on error)
-    logger.error(`yt-dlp process for ${videoId} failed.`);
-    // The error object from execSync often contains stderr/stdout if captured,
-    // but with stdio:inherit, they are printed directly. We log the error message.
-    logger.error("yt-dlp Error Message:", { message: error.message });
+  }
+
+  // Music players read the embedded tags; NFO files are for the video library
+  if (audio) return;
+
+  // Artwork is secondary: a failure here must not fail the download
+  let artworkFiles = null;
+  try {
+    artworkFiles = await writeVideoArtwork(
+      { outputDir, baseFilename, conjunto: nfoData.conjunto },
+      artwork.directory,
+      logger
+    );
+    if (episode) {
+      // The conjunto's own artwork is the show's folder art
+      await writeFolderArtwork(
+        path.dirname(outputDir),
+        "conjuntos",
+        nfoData.conjunto.name,
+        artwork.directory,
+        logger
+      );
+    } else if (nfoData.conjunto && !nfoData.extra) {
+      await writeFolderArtwork(
+        outputDir,
+        "categories",
+        nfoData.conjunto.category,
+        artwork.directory,
+        logger
+      );
+    }
+  } catch (artworkError) {
+    logger.warn(`Failed to write artwork for ${videoId}`, {
+      error: artworkError.message,
+    });
+  }
+
+  // Generate and save NFO file
+  try {
+    const nfoPath = path.join(outputDir, baseFilename + ".nfo");
+    if (!(await fs.pathExists(nfoPath))) {
+      const nfoContent = generateNfoContent(nfoData.videoInfo, nfoData, {
+        quality,
+        artwork: artworkFiles,
+        nfoSettings: nfoData.nfo,
+        episode,
+      });
+      await fs.writeFile(nfoPath, nfoContent);
+      logger.info(`Created NFO file for ${videoId} at ${nfoPath}`);
+    } else {
+      logger.debug(`NFO file already exists for ${videoId} at ${nfoPath}`);
+    }
+    if (episode) {
+      const showNfoPath = path.join(path.dirname(outputDir), "tvshow.nfo");
+      if (!(await fs.pathExists(showNfoPath))) {
+        await fs.writeFile(showNfoPath, generateTvShowNfo(episode, nfoData.nfo));
+        logger.info(`Created show NFO for ${episode.showTitle} at ${showNfoPath}`);
+      }
+    }
+  } catch (nfoError) {
     logger.error(
-      "Check the direct terminal output above for detailed yt-dlp errors."
+      `Failed to write NFO file for ${videoId} after successful download`,
+      {
+        nfoPath: path.join(outputDir, baseFilename + ".nfo"),
+        error: nfoError.message,
+        stack: nfoError.stack,
+      }
     );
-    // We need to indicate failure. Since this function is async now for NFO, return false.
-    return false;
   }
 }
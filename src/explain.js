@@ -0,0 +1,184 @@
+import fs from "fs-extra";
+import { parseVideoTitle } from "./parser.js";
+
+// Result fields a corpus entry may pin down, and how to read them from a parse
+const corpusFields = {
+  conjunto: (parsed) => parsed.conjunto?.name ?? null,
+  category: (parsed) => parsed.conjunto?.category ?? null,
+  year: (parsed) => parsed.year ?? null,
+  round: (parsed) => parsed.round ?? null,
+  extra: (parsed) => parsed.extra?.id ?? null,
+  skipped: (parsed) => parsed.skippedKeyword ?? null,
+};
+
+/**
+ * Describe what processChannel would do with a parse result.
+ * Mirrors the collection pass checks (before any metadata inference).
+ * @param {Object} parsed - Result of parseVideoTitle
+ * @param {Object} settings - Loaded configuration settings
+ * @returns {string} Short verdict
+ */
+function describeOutcome(parsed, settings) {
+  if (parsed.skippedKeyword) {
+    return `ignored (skip keyword "${parsed.skippedKeyword}")`;
+  }
+  const missing = [];
+  if (!parsed.conjunto && !parsed.extra) missing.push("conjunto");
+  if (!parsed.year) missing.push("year");
+  if (missing.length > 0) {
+    return `ignored unless metadata supplies the ${missing.join(" and ")}`;
+  }
+  if (parsed.extra) {
+    return `extra (${parsed.extra.label})`;
+  }
+  const { minConfidence } = settings.matching;
+  if (parsed.ambiguous) return "check_later (ambiguous conjunto match)";
+  if (parsed.confidence < minConfidence) {
+    return `check_later (confidence below ${minConfidence})`;
+  }
+  if (parsed.activeInYear === false) {
+    return `check_later (not in the ${parsed.year} roster)`;
+  }
+  return "collected for download";
+}
+
+/**
+ * Parse a title and collect everything needed to explain the result.
+ * @param {string} title - Video title
+ * @param {Object} config - Loaded configuration
+ * @returns {Object} { title, parsed, outcome }
+ */
+export function explainTitle(title, config) {
+  const parsed = parseVideoTitle(title, config);
+  return { title, parsed, outcome: describeOutcome(parsed, config.settings) };
+}
+
+/**
+ * Render an explanation as human-readable lines.
+ * @param {Object} explanation - Result of explainTitle
+ * @returns {string} Multi-line text
+ */
+export function formatExplanation({ title, parsed, outcome }) {
+  const source = (field) =>
+    parsed.sources?.[field] ? ` [${parsed.sources[field]}]` : "";
+  const lines = [`Title: ${title}`, `  Outcome:     ${outcome}`];
+  if (parsed.skippedKeyword) return lines.join("\n");
+  lines.push(
+    `  Format rule: ${parsed.formatRule || "none (general parser)"}`,
+    `  Conjunto:    ${
+      parsed.conjunto
+        ? `${parsed.conjunto.name} (${parsed.conjunto.category})${source(
+            "conjunto"
+          )}`
+        : "-"
+    }`,
+    `  Confidence:  ${parsed.confidence}${
+      parsed.ambiguous ? " (ambiguous)" : ""
+    }`,
+    `  Year:        ${parsed.year || "-"}${source("year")}`,
+    `  Round:       ${parsed.round || "-"}${source("round")}`
+  );
+  if (parsed.etapa) {
+    lines.push(`  Etapa:       ${parsed.etapa}`);
+  }
+  if (parsed.extra) {
+    lines.push(`  Extra:       ${parsed.extra.label} (${parsed.extra.id})`);
+  }
+  if (parsed.candidates.length > 0) {
+    lines.push("  Candidates:");
+    parsed.candidates.forEach((candidate, i) => {
+      lines.push(
+        `    ${i + 1}. ${candidate.name} (${candidate.category}) ${
+          candidate.score
+        }${
+          candidate.activeInYear === false
+            ? ` (not in ${parsed.year} roster)`
+            : ""
+        }`
+      );
+    });
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Build a corpus entry recording the current parse of a title.
+ * @param {string} title - Video title
+ * @param {Object} config - Loaded configuration
+ * @returns {Object} { title, expected }
+ */
+export function createCorpusEntry(title, config) {
+  const parsed = parseVideoTitle(title, config);
+  const expected = {};
+  for (const [field, read] of Object.entries(corpusFields)) {
+    expected[field] = read(parsed);
+  }
+  return { title, expected };
+}
+
+/**
+ * Read a golden-title corpus: a JSON array of { title, expected } entries.
+ * `expected` may contain conjunto, category, year, round, extra (keyword
+ * group id) and skipped (skip keyword); fields left out are not checked,
+ * null means "must not be found". An entry must check at least one field.
+ * @param {string} filePath - Path to the corpus file
+ * @returns {Promise<Array<Object>>} Corpus entries
+ * @throws {Error} If the file is not a valid corpus
+ */
+export async function readCorpus(filePath) {
+  const entries = await fs.readJson(filePath);
+  if (!Array.isArray(entries)) {
+    throw new Error(`Corpus ${filePath} must be a JSON array of entries`);
+  }
+  entries.forEach((entry, i) => {
+    const { expected } = entry || {};
+    if (
+      typeof entry?.title !== "string" ||
+      !expected ||
+      typeof expected !== "object" ||
+      Array.isArray(expected) ||
+      Object.keys(expected).length === 0
+    ) {
+      throw new Error(
+        `Corpus ${filePath} entry ${i + 1} must have a 'title' string and an 'expected' object with at least one field`
+      );
+    }
+    const unknown = Object.keys(expected).filter(
+      (field) => !(field in corpusFields)
+    );
+    if (unknown.length > 0) {
+      throw new Error(
+        `Corpus ${filePath} entry ${i + 1} has unknown expected field(s): ${unknown.join(", ")}`
+      );
+    }
+  });
+  return entries;
+}
+
+/**
+ * Parse every corpus title and compare it with the expected result.
+ * @param {Array<Object>} entries - Corpus entries (see readCorpus)
+ * @param {Object} config - Loaded configuration
+ * @returns {Object} { total, passed, regressions: [{ title, differences: [{ field, expected, actual }] }] }
+ */
+export function checkCorpus(entries, config) {
+  const regressions = [];
+  for (const { title, expected } of entries) {
+    const parsed = parseVideoTitle(title, config);
+    const differences = [];
+    for (const [field, expectedValue] of Object.entries(expected)) {
+      const actual = corpusFields[field](parsed);
+      // Years may be written as numbers in hand-edited corpora
+      const wanted = expectedValue === null ? null : String(expectedValue);
+      if (wanted !== (actual === null ? null : String(actual))) {
+        differences.push({ field, expected: expectedValue, actual });
+      }
+    }
+    if (differences.length > 0) regressions.push({ title, differences });
+  }
+  return {
+    total: entries.length,
+    passed: entries.length - regressions.length,
+    regressions,
+  };
+}
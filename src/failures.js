@@ -0,0 +1,188 @@
+import dayjs from "dayjs";
+import {
+  readTrackingJson,
+  writeTrackingJson,
+  withTrackingLock,
+} from "./state.js";
+
+/**
+ * Kinds of download failure, recognized from yt-dlp error messages in this
+ * order (geo and age blocks also say "Video unavailable", so they come
+ * first). Anything else is "unknown".
+ */
+const failurePatterns = [
+  {
+    kind: "geo_blocked",
+    pattern:
+      /available in your country|geo[- ]?restrict|blocked it in your country|not available from your location/i,
+  },
+  {
+    kind: "age_restricted",
+    pattern:
+      /confirm your age|age[- ]restrict|inappropriate for some users|age[- ]gated/i,
+  },
+  {
+    kind: "format_unavailable",
+    pattern: /requested format is not available|no video formats found/i,
+  },
+  {
+    kind: "private_removed",
+    pattern:
+      /private video|video unavailable|has been removed|no longer available|does not exist|account .*(?:terminated|closed)|copyright claim|members[- ]only|join this channel/i,
+  },
+  {
+    kind: "network",
+    pattern:
+      /timed out|timeout|connection (?:reset|refused|aborted)|temporary failure|network is unreachable|unable to download (?:webpage|video data)|HTTP Error (?:429|5\d\d)|too many requests|remote end closed|ECONNRESET|ETIMEDOUT|EAI_AGAIN|ENOTFOUND|incomplete read/i,
+  },
+];
+
+// Worth retrying automatically; unknown errors are retried in case they were transient
+export const retryableKinds = new Set(["network", "unknown"]);
+// The video itself is gone: moved to dead.json and never retried
+export const permanentKinds = new Set(["private_removed"]);
+
+/**
+ * Classify a failure from its error message.
+ * @param {string} message - Error message (usually including yt-dlp's stderr)
+ * @returns {string} One of private_removed, geo_blocked, age_restricted, format_unavailable, network, unknown
+ */
+export function classifyFailure(message) {
+  const text = message || "";
+  const match = failurePatterns.find(({ pattern }) => pattern.test(text));
+  return match ? match.kind : "unknown";
+}
+
+/**
+ * Whether two failure records describe the same video.
+ * Records written before the video ID was known only have the URL.
+ * @param {Object} a - Failure record
+ * @param {Object} b - Failure record
+ * @returns {boolean}
+ */
+function isSameVideo(a, b) {
+  if (a.id && b.id && a.id !== "Unknown ID" && a.id === b.id) return true;
+  return Boolean(a.url && a.url === b.url);
+}
+
+/**
+ * Time of the next automatic retry: the delay doubles with every attempt.
+ * @param {Object} record - Failure record { attempts, lastAttemptAt }
+ * @param {Object} retrySettings - settings.retry { baseDelayMinutes }
+ * @returns {string} ISO date
+ */
+function getNextAttemptAt(record, retrySettings) {
+  const delayMinutes =
+    retrySettings.baseDelayMinutes * 2 ** Math.max(record.attempts - 1, 0);
+  return dayjs(record.lastAttemptAt).add(delayMinutes, "minute").format();
+}
+
+/**
+ * Read failed.json, collapsing duplicate records of the same video (older
+ * versions appended one record per failure) and classifying records that
+ * predate failure kinds.
+ * @param {string} failedPath - Path to failed.json
+ * @returns {Promise<Array<Object>>} One record per video
+ */
+export async function readFailures(failedPath) {
+  const records = [];
+  for (const entry of await readTrackingJson(failedPath)) {
+    if (!entry) continue;
+    const existing = records.find((record) => isSameVideo(record, entry));
+    if (existing) {
+      Object.assign(existing, entry, {
+        attempts: existing.attempts + (entry.attempts || 1),
+      });
+    } else {
+      records.push({ ...entry, attempts: entry.attempts || 1 });
+    }
+  }
+  for (const record of records) {
+    record.kind = record.kind || classifyFailure(record.error);
+  }
+  return records;
+}
+
+/**
+ * Record a failed attempt at a video.
+ * The video keeps a single record in failed.json with its failure kind,
+ * attempt count and last attempt time; retryable failures also get the time
+ * of their next retry. Videos that are permanently unavailable are moved to
+ * dead.json instead. Runs under the tracking lock.
+ * @param {Object} trackingFiles - Paths to tracking files
+ * @param {Object} failure - { id, title, url, error, ...context }
+ * @param {Object} retrySettings - settings.retry
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<Object>} The stored record
+ */
+export async function recordFailure(
+  trackingFiles,
+  failure,
+  retrySettings,
+  logger
+) {
+  return withTrackingLock(() =>
+    storeFailure(trackingFiles, failure, retrySettings, logger)
+  );
+}
+
+async function storeFailure(trackingFiles, failure, retrySettings, logger) {
+  const records = await readFailures(trackingFiles.failedPath);
+  const existing = records.find((record) => isSameVideo(record, failure));
+  const now = dayjs().format();
+  const record = {
+    ...existing,
+    ...failure,
+    kind: classifyFailure(failure.error),
+    attempts: (existing?.attempts || 0) + 1,
+    firstFailedAt: existing?.firstFailedAt || now,
+    lastAttemptAt: now,
+  };
+  if (retryableKinds.has(record.kind)) {
+    record.nextAttemptAt = getNextAttemptAt(record, retrySettings);
+  } else {
+    delete record.nextAttemptAt;
+  }
+
+  const others = records.filter((entry) => entry !== existing);
+  if (permanentKinds.has(record.kind)) {
+    const dead = (await readTrackingJson(trackingFiles.deadPath)).filter(
+      (entry) => !isSameVideo(entry, record)
+    );
+    dead.push(record);
+    await writeTrackingJson(trackingFiles.deadPath, dead);
+    await writeTrackingJson(trackingFiles.failedPath, others);
+    logger.warn(
+      `Video ${record.id} is permanently unavailable (${record.kind}); moved to dead.json.`
+    );
+  } else {
+    await writeTrackingJson(trackingFiles.failedPath, [...others, record]);
+    logger.info(
+      `Recorded failure for ${record.id}: ${record.kind}, attempt ${record.attempts}.`
+    );
+  }
+  return record;
+}
+
+/**
+ * Select the failures the retry command should re-attempt now.
+ * @param {Array<Object>} records - Result of readFailures
+ * @param {Object} retrySettings - settings.retry { maxAttempts }
+ * @returns {Object} { due, notDue, exhausted, notRetryable } lists of records
+ */
+export function selectRetries(records, retrySettings) {
+  const now = dayjs();
+  const selection = { due: [], notDue: [], exhausted: [], notRetryable: [] };
+  for (const record of records) {
+    if (!retryableKinds.has(record.kind) || !record.url) {
+      selection.notRetryable.push(record);
+    } else if (record.attempts >= retrySettings.maxAttempts) {
+      selection.exhausted.push(record);
+    } else if (record.nextAttemptAt && dayjs(record.nextAttemptAt).isAfter(now)) {
+      selection.notDue.push(record);
+    } else {
+      selection.due.push(record);
+    }
+  }
+  return selection;
+}
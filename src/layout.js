@@ -0,0 +1,107 @@
+import path from "path";
+import { fillTemplate, toPathComponent } from "./naming.js";
+
+// Library layouts (settings.layout.mode)
+export const layoutModes = ["movies", "tvshows"];
+
+/**
+ * Placeholder values of a video for the naming templates.
+ * @param {Object} info - Effective { year, conjunto, round, extra, etapa }
+ * @param {Object} video - { id } of the video
+ * @returns {Object} Values by placeholder name (see namingPlaceholders)
+ */
+function getTemplateValues({ year, conjunto, round, extra, etapa }, video) {
+  return {
+    year,
+    category: conjunto?.category,
+    conjunto: conjunto?.name,
+    round,
+    etapa,
+    id: video?.id,
+    extra: extra?.label,
+  };
+}
+
+/**
+ * Whether a video is filed as a TV episode: contest videos of the video
+ * library when settings.layout.mode is "tvshows". Extras and audio keep
+ * their own folders.
+ * @param {Object} info - Effective { conjunto, extra }
+ * @param {Object} settings - Loaded configuration settings
+ * @returns {boolean}
+ */
+export function usesShowLayout({ conjunto, extra }, settings) {
+  return (
+    settings.layout.mode === "tvshows" &&
+    !settings.audio.enabled &&
+    !extra &&
+    Boolean(conjunto)
+  );
+}
+
+/**
+ * Episode of a contest video in the TV-show layout: the conjunto is the
+ * show, the year the season, and the round's place in the round order
+ * (settings.rounds by priority) the episode number. Without a round the
+ * etapa is used, and without either the video is episode 0 (a special).
+ * The show is filed under the conjunto's category in conjuntos.json, so a
+ * conjunto that changed category over the years stays a single show.
+ * @param {Object} info - Effective { year, conjunto, round, etapa }
+ * @param {Object} config - Loaded configuration
+ * @returns {Object} { showTitle, showCategory, season, episode }
+ */
+export function getEpisodeInfo({ year, conjunto, round, etapa }, config) {
+  const rounds = [...config.settings.rounds].sort(
+    (a, b) => a.priority - b.priority
+  );
+  const roundIndex = rounds.findIndex((candidate) => candidate.name === round);
+  const listedCategory = Object.keys(config.categories).find((category) =>
+    config.categories[category].some((entry) => entry.name === conjunto.name)
+  );
+  return {
+    showTitle: conjunto.name,
+    showCategory: listedCategory || conjunto.category,
+    season: parseInt(year, 10),
+    episode: roundIndex >= 0 ? roundIndex + 1 : etapa || 0,
+  };
+}
+
+/**
+ * Work out where a video goes in the library, from the naming templates of
+ * settings.naming: contest videos use `folder` and `file`, or `showFolder`
+ * and `episodeFile` in the TV-show layout. Extras go to their keyword
+ * group's folder, named with `extraFile` when the conjunto is known and
+ * after the video title otherwise. In audio mode the folders come from
+ * settings.audio instead. Every name is sanitized (see fillTemplate).
+ * @param {string} baseDir - Base directory for downloads
+ * @param {Object} info - Effective { year, conjunto, round, extra, etapa }
+ * @param {Object} video - { id, title } of the video
+ * @param {Object} config - Loaded configuration
+ * @returns {Object} { outputDir, baseFilename }
+ */
+export function getOutputLocation(baseDir, info, video, config) {
+  const { audio, naming } = config.settings;
+  const values = getTemplateValues(info, video);
+  let folderTemplate = audio.enabled ? audio.folder : naming.folder;
+  let fileTemplate = naming.file;
+  if (info.extra) {
+    folderTemplate = audio.enabled ? audio.extrasFolder : info.extra.folder;
+    fileTemplate = info.conjunto ? naming.extraFile : null;
+  } else if (usesShowLayout(info, config.settings)) {
+    const { showCategory, episode } = getEpisodeInfo(info, config);
+    values.category = showCategory;
+    values.episode = String(episode).padStart(2, "0");
+    folderTemplate = naming.showFolder;
+    fileTemplate = naming.episodeFile;
+  }
+  return {
+    outputDir: path.join(
+      baseDir,
+      ...fillTemplate(folderTemplate, values, naming)
+    ),
+    // File templates have no "/", so they fill a single component
+    baseFilename: fileTemplate
+      ? fillTemplate(fileTemplate, values, naming)[0]
+      : toPathComponent(video?.title || "Unknown Title", naming),
+  };
+}
@@ -0,0 +1,824 @@
+import fs from "fs-extra";
+import path from "path";
+import { resolveConjuntoForYear, findConjuntoByName } from "./config.js";
+import { parseVideoTitle, normalizeString } from "./parser.js";
+import { inferFromMetadata } from "./metadata.js";
+import { loadOverrides, findOverride, applyOverride } from "./overrides.js";
+import {
+  listVideoArtwork,
+  writeFolderArtwork,
+  getArtworkDir,
+} from "./artwork.js";
+import {
+  getEpisodeInfo,
+  getOutputLocation,
+  usesShowLayout,
+} from "./layout.js";
+import { trackingDirName, getDownloadedSet } from "./state.js";
+import {
+  generateNfoContent,
+  generateTvShowNfo,
+  getNfoRoot,
+  readNfoElement,
+  validateNfoXml,
+  findNfoFiles,
+} from "./nfo.js";
+
+/**
+ * Line diff of two texts: removed lines prefixed "-", added lines "+"
+ * (unchanged lines are left out).
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @returns {string[]} Diff lines
+ */
+function diffLines(before, after) {
+  const a = before.split("\n");
+  const b = after.split("\n");
+  // lengths[i][j]: longest common subsequence of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () =>
+    new Array(b.length + 1).fill(0)
+  );
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] =
+        a[i] === b[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+  const diff = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      i++;
+      j++;
+    } else if (
+      i < a.length &&
+      (j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])
+    ) {
+      diff.push(`-${a[i++]}`);
+    } else {
+      diff.push(`+${b[j++]}`);
+    }
+  }
+  return diff;
+}
+
+/**
+ * Work out what a downloaded video is from its stored metadata, the way a
+ * download run would now: the title is parsed with the current rules and
+ * roster, stored overrides apply, and missing values are inferred from the
+ * metadata. The year of the existing NFO is kept unless an override sets
+ * one, since it may have been forced with --year.
+ * @param {Object} videoInfo - Contents of the video's .info.json
+ * @param {string} existingNfo - Current NFO content
+ * @param {Object} overrides - Loaded overrides (see loadOverrides)
+ * @param {Object} config - Loaded configuration
+ * @param {Object} logger - Logger instance
+ * @returns {Object} Parsed info { year, conjunto, round, extra, etapa }
+ */
+function resolveVideo(videoInfo, existingNfo, overrides, config, logger) {
+  let parsedInfo = parseVideoTitle(videoInfo.title || "", config);
+  const override = findOverride(overrides, videoInfo.id, videoInfo.title);
+  if (override) parsedInfo = applyOverride(parsedInfo, override, config);
+
+  const nfoYear = readNfoElement(existingNfo, "year");
+  if (!override?.entry.year && /^\d{4}$/.test(nfoYear || "")) {
+    parsedInfo = { ...parsedInfo, year: nfoYear };
+  }
+  if (!parsedInfo.year || (!parsedInfo.conjunto && !parsedInfo.extra)) {
+    parsedInfo = inferFromMetadata(videoInfo, parsedInfo, config, logger);
+  }
+  if (parsedInfo.conjunto) {
+    parsedInfo = {
+      ...parsedInfo,
+      conjunto: resolveConjuntoForYear(
+        config,
+        parsedInfo.conjunto,
+        parsedInfo.year
+      ).conjunto,
+    };
+  }
+  return parsedInfo;
+}
+
+/**
+ * Render the NFO of a video with the artwork next to it, carrying the
+ * quality profile and date added over from its current NFO.
+ * @param {Object} video - { outputDir, baseFilename, videoInfo, parsedInfo, existingNfo }
+ * @param {boolean} isEpisode - Write a TV episode NFO (see getEpisodeInfo)
+ * @param {Object} config - Loaded configuration
+ * @returns {Promise<string>} NFO content
+ */
+async function renderVideoNfo(
+  { outputDir, baseFilename, videoInfo, parsedInfo, existingNfo },
+  isEpisode,
+  config
+) {
+  const qualityName = readNfoElement(existingNfo, "qualityprofile");
+  return generateNfoContent(videoInfo, parsedInfo, {
+    quality: qualityName ? { name: qualityName } : null,
+    artwork: await listVideoArtwork(outputDir, baseFilename),
+    dateAdded: readNfoElement(existingNfo, "dateadded"),
+    nfoSettings: config.settings.nfo,
+    episode: isEpisode ? getEpisodeInfo(parsedInfo, config) : null,
+  });
+}
+
+/**
+ * Build the current version of one NFO.
+ * Movie and episode NFOs are rebuilt from the .info.json next to them (an
+ * episode stays an episode, renumbered from the current round order);
+ * tvshow.nfo from the roster entry of the show's conjunto.
+ * @param {string} nfoPath - Path to the NFO
+ * @param {string} content - Current NFO content
+ * @param {Object} overrides - Loaded overrides (see loadOverrides)
+ * @param {Object} config - Loaded configuration
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<string|null>} New content, or null if it cannot be rebuilt (logged)
+ */
+async function rebuildNfo(nfoPath, content, overrides, config, logger) {
+  const outputDir = path.dirname(nfoPath);
+  const baseFilename = path.basename(nfoPath, ".nfo");
+  const root = getNfoRoot(content);
+
+  if (root === "tvshow") {
+    const conjunto = findConjuntoByName(
+      config,
+      readNfoElement(content, "title"),
+      normalizeString
+    );
+    if (!conjunto) {
+      logger.warn(`${nfoPath} names no conjunto of the roster; skipped.`);
+      return null;
+    }
+    return generateTvShowNfo(
+      { showTitle: conjunto.name, showCategory: conjunto.category },
+      config.settings.nfo
+    );
+  }
+
+  const infoPath = path.join(outputDir, `${baseFilename}.info.json`);
+  if (!(await fs.pathExists(infoPath))) {
+    logger.warn(`No ${path.basename(infoPath)} next to ${nfoPath}; skipped.`);
+    return null;
+  }
+  const videoInfo = await fs.readJson(infoPath);
+  const parsedInfo = resolveVideo(
+    videoInfo,
+    content,
+    overrides,
+    config,
+    logger
+  );
+  const isEpisode = root === "episodedetails";
+  // Episodes belong to a show, so they need the conjunto
+  const subject = isEpisode
+    ? parsedInfo.conjunto
+    : parsedInfo.conjunto || parsedInfo.extra;
+  if (!parsedInfo.year || !subject) {
+    logger.warn(
+      `Could not resolve "${videoInfo.title}" (${nfoPath}) with the current configuration; skipped.`
+    );
+    return null;
+  }
+
+  return renderVideoNfo(
+    { outputDir, baseFilename, videoInfo, parsedInfo, existingNfo: content },
+    isEpisode,
+    config
+  );
+}
+
+/**
+ * Rebuild every NFO of the library (see rebuildNfo) from the video's
+ * .info.json, the current parse and roster, and the artwork next to it.
+ * The quality profile and the date added are carried over from the
+ * existing NFO. Existing NFOs are checked for well-formed XML along the
+ * way; rebuilt ones must be valid before they are written.
+ * Videos without an .info.json, or that no longer resolve to a conjunto or
+ * extra and a year, are left untouched. Files are not moved or renamed.
+ * @param {string} baseDir - Base directory of the library
+ * @param {Object} trackingFiles - Paths to tracking files (for overrides.json)
+ * @param {Object} config - Loaded configuration
+ * @param {Object} logger - Logger instance
+ * @param {Object} [options] - { dryRun: compute the changes without writing }
+ * @returns {Promise<Object>} { stats: { nfos, updated, unchanged, skipped, invalid, failed }, changes: [{ nfoPath, diff }], invalid: [{ nfoPath, errors }] }
+ */
+export async function regenerateNfos(
+  baseDir,
+  trackingFiles,
+  config,
+  logger,
+  options = {}
+) {
+  const overrides = await loadOverrides(trackingFiles.overridesPath, logger);
+  const stats = {
+    nfos: 0,
+    updated: 0,
+    unchanged: 0,
+    skipped: 0,
+    invalid: 0,
+    failed: 0,
+  };
+  const changes = [];
+  const invalid = [];
+
+  for (const nfoPath of await findNfoFiles(baseDir)) {
+    stats.nfos++;
+    try {
+      const content = await fs.readFile(nfoPath, "utf8");
+      const errors = validateNfoXml(content);
+      if (errors.length > 0) {
+        stats.invalid++;
+        invalid.push({ nfoPath, errors });
+      }
+
+      const newContent = await rebuildNfo(
+        nfoPath,
+        content,
+        overrides,
+        config,
+        logger
+      );
+      if (!newContent) {
+        stats.skipped++;
+        continue;
+      }
+      const newErrors = validateNfoXml(newContent);
+      if (newErrors.length > 0) {
+        throw new Error(
+          `Rebuilt NFO is not valid XML: ${newErrors.join("; ")}`
+        );
+      }
+
+      if (newContent === content) {
+        stats.unchanged++;
+        continue;
+      }
+      changes.push({ nfoPath, diff: diffLines(content, newContent) });
+      stats.updated++;
+      if (!options.dryRun) {
+        await fs.writeFile(nfoPath, newContent);
+        logger.info(`Rewrote ${nfoPath}`);
+      }
+    } catch (error) {
+      stats.failed++;
+      logger.error(`Failed to regenerate ${nfoPath}`, { error: error.message });
+    }
+  }
+  return { stats, changes, invalid };
+}
+
+// Files of a video besides <baseFilename>.<ext>: its artwork
+const videoArtworkPattern =
+  /^-(thumb|poster|fanart|clearlogo)\.(jpe?g|png|webp)$/i;
+// Files a folder holds for itself rather than for a video
+const folderFilePattern =
+  /^(tvshow\.nfo|(poster|fanart|clearlogo)\.(jpe?g|png))$/i;
+
+/**
+ * List the .info.json files of the library, skipping the tracking directory.
+ * @param {string} dir - Directory to search
+ * @returns {Promise<string[]>} .info.json paths
+ */
+async function findInfoFiles(dir) {
+  const infoPaths = [];
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory() && entry.name !== trackingDirName) {
+      infoPaths.push(...(await findInfoFiles(entryPath)));
+    } else if (entry.isFile() && entry.name.endsWith(".info.json")) {
+      infoPaths.push(entryPath);
+    }
+  }
+  return infoPaths;
+}
+
+/**
+ * Files that belong to one downloaded video: <baseFilename> followed by
+ * extensions only (the media file, .nfo, .info.json, .chapters.json,
+ * subtitles) or by an artwork suffix (-poster.jpg, ...).
+ * @param {string} outputDir - Directory of the video
+ * @param {string} baseFilename - Base filename of the video
+ * @returns {Promise<string[]>} File names
+ */
+async function listVideoFiles(outputDir, baseFilename) {
+  return (await fs.readdir(outputDir)).filter((fileName) => {
+    if (!fileName.startsWith(baseFilename)) return false;
+    const suffix = fileName.slice(baseFilename.length);
+    return /^(\.[^.\s]+)+$/.test(suffix) || videoArtworkPattern.test(suffix);
+  });
+}
+
+/**
+ * Remove a folder left empty by the videos moved out of it, then its
+ * parents up to the base directory while they are left empty too. A folder
+ * still holding folder art or a tvshow.nfo is kept: a rollback could not
+ * bring those files back.
+ * @param {string} dir - Folder a video was moved out of
+ * @param {string} baseDir - Base directory of the library (never removed)
+ * @returns {Promise<Object>} { removed: folders, kept: folder holding only folder files, or null }
+ */
+async function removeEmptyFolders(dir, baseDir) {
+  const removed = [];
+  let kept = null;
+  let current = dir;
+  while (
+    current !== baseDir &&
+    !path.relative(baseDir, current).startsWith("..")
+  ) {
+    if (await fs.pathExists(current)) {
+      const entries = await fs.readdir(current, { withFileTypes: true });
+      if (entries.length > 0) {
+        if (
+          entries.every(
+            (entry) => entry.isFile() && folderFilePattern.test(entry.name)
+          )
+        ) {
+          kept = current;
+        }
+        break;
+      }
+      await fs.remove(current);
+      removed.push(current);
+    }
+    current = path.dirname(current);
+  }
+  return { removed, kept };
+}
+
+/**
+ * List the folders from `dir` up to the base directory that do not exist
+ * yet, i.e. the ones moving a video into `dir` creates.
+ * @param {string} dir - Destination folder of a video
+ * @param {string} baseDir - Base directory of the library
+ * @returns {Promise<string[]>} Folders relative to baseDir, deepest first
+ */
+async function findMissingFolders(dir, baseDir) {
+  const missing = [];
+  let current = dir;
+  while (
+    current !== baseDir &&
+    !path.relative(baseDir, current).startsWith("..") &&
+    !(await fs.pathExists(current))
+  ) {
+    missing.push(path.relative(baseDir, current));
+    current = path.dirname(current);
+  }
+  return missing;
+}
+
+/**
+ * Remove the folders a reorganize run created once the videos have moved
+ * back out of them, deepest first. The tvshow.nfo and folder art left in
+ * them were written by the run, so they go too; anything else keeps the
+ * folder.
+ * @param {string[]} folders - Folders relative to baseDir (see findMissingFolders)
+ * @param {string} baseDir - Base directory of the library
+ * @returns {Promise<string[]>} Removed folders
+ */
+async function removeCreatedFolders(folders, baseDir) {
+  const removed = [];
+  const depth = (folder) => folder.split(path.sep).length;
+  for (const folder of [...folders].sort((a, b) => depth(b) - depth(a))) {
+    const dir = path.join(baseDir, folder);
+    if (!(await fs.pathExists(dir))) continue;
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    const leftover = entries.every(
+      (entry) => entry.isFile() && folderFilePattern.test(entry.name)
+    );
+    if (!leftover) continue;
+    await fs.remove(dir);
+    removed.push(dir);
+  }
+  return removed;
+}
+
+/**
+ * Work out which downloaded videos are not where the current configuration
+ * puts them. Videos are found by their .info.json (unreadable ones are
+ * skipped) and must be in the download archive; each is resolved like the nfo command does (see
+ * resolveVideo) and placed with getOutputLocation. A video whose new name
+ * is already taken, by a file on disk or another video of the plan, is
+ * left where it is.
+ * @param {string} baseDir - Base directory of the library
+ * @param {Object} trackingFiles - Paths to tracking files
+ * @param {Object} config - Loaded configuration
+ * @param {Object} overrides - Loaded overrides (see loadOverrides)
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<Object>} { entries: journal entries, conflicts: [{ id, title, reason }], stats: { videos, unchanged, skipped, conflicts } }
+ */
+async function planReorganize(
+  baseDir,
+  trackingFiles,
+  config,
+  overrides,
+  logger
+) {
+  const downloaded = await getDownloadedSet(trackingFiles.downloadedPath);
+  const stats = { videos: 0, unchanged: 0, skipped: 0, conflicts: 0 };
+  const entries = [];
+  const conflicts = [];
+  const claimed = new Set();
+
+  for (const infoPath of await findInfoFiles(baseDir)) {
+    stats.videos++;
+    const outputDir = path.dirname(infoPath);
+    const baseFilename = path.basename(infoPath, ".info.json");
+    let videoInfo;
+    try {
+      videoInfo = await fs.readJson(infoPath);
+    } catch (error) {
+      logger.warn(`Could not read ${infoPath}; skipped.`, {
+        error: error.message,
+      });
+      stats.skipped++;
+      continue;
+    }
+    if (!downloaded.has(videoInfo.id)) {
+      logger.warn(`${infoPath} is not in the download archive; skipped.`);
+      stats.skipped++;
+      continue;
+    }
+    const nfoPath = path.join(outputDir, `${baseFilename}.nfo`);
+    const existingNfo = (await fs.pathExists(nfoPath))
+      ? await fs.readFile(nfoPath, "utf8")
+      : null;
+    const parsedInfo = resolveVideo(
+      videoInfo,
+      existingNfo || "",
+      overrides,
+      config,
+      logger
+    );
+    if (!parsedInfo.year || (!parsedInfo.conjunto && !parsedInfo.extra)) {
+      logger.warn(
+        `Could not resolve "${videoInfo.title}" (${infoPath}) with the current configuration; skipped.`
+      );
+      stats.skipped++;
+      continue;
+    }
+
+    const target = getOutputLocation(baseDir, parsedInfo, videoInfo, config);
+    if (
+      target.outputDir === outputDir &&
+      target.baseFilename === baseFilename
+    ) {
+      stats.unchanged++;
+      continue;
+    }
+    const moves = (await listVideoFiles(outputDir, baseFilename)).map(
+      (fileName) => ({
+        from: path.join(outputDir, fileName),
+        to: path.join(
+          target.outputDir,
+          target.baseFilename + fileName.slice(baseFilename.length)
+        ),
+      })
+    );
+    const taken = [];
+    for (const { to } of moves) {
+      if (claimed.has(to) || (await fs.pathExists(to))) taken.push(to);
+    }
+    if (taken.length > 0) {
+      conflicts.push({
+        id: videoInfo.id,
+        title: videoInfo.title,
+        reason: `${path.relative(baseDir, taken[0])} already exists`,
+      });
+      stats.conflicts++;
+      continue;
+    }
+    moves.forEach(({ to }) => claimed.add(to));
+    entries.push({
+      id: videoInfo.id,
+      title: videoInfo.title,
+      // Paths are kept relative so the journal survives a remounted library
+      moves: moves.map(({ from, to }) => ({
+        from: path.relative(baseDir, from),
+        to: path.relative(baseDir, to),
+      })),
+      nfo: path.relative(
+        baseDir,
+        path.join(target.outputDir, `${target.baseFilename}.nfo`)
+      ),
+      // Saved before anything moves, for rollback
+      nfoBefore: existingNfo,
+      newFolders: await findMissingFolders(target.outputDir, baseDir),
+      status: "pending",
+    });
+  }
+  return { entries, conflicts, stats };
+}
+
+/**
+ * Rewrite the NFO of a moved video for its new place (artwork file names,
+ * movie or TV episode), and give a new show folder its tvshow.nfo and
+ * folder art the way a download would.
+ * @param {string} baseDir - Base directory of the library
+ * @param {Object} entry - Journal entry of the video
+ * @param {Object} config - Loaded configuration
+ * @param {Object} overrides - Loaded overrides (see loadOverrides)
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<void>}
+ * @throws {Error} If the moved video no longer resolves
+ */
+async function finishMovedVideo(baseDir, entry, config, overrides, logger) {
+  const nfoPath = path.join(baseDir, entry.nfo);
+  const outputDir = path.dirname(nfoPath);
+  const baseFilename = path.basename(nfoPath, ".nfo");
+  const videoInfo = await fs.readJson(
+    path.join(outputDir, `${baseFilename}.info.json`)
+  );
+  const existingNfo = entry.nfoBefore || "";
+  const parsedInfo = resolveVideo(
+    videoInfo,
+    existingNfo,
+    overrides,
+    config,
+    logger
+  );
+  if (!parsedInfo.year || (!parsedInfo.conjunto && !parsedInfo.extra)) {
+    throw new Error(
+      `"${entry.title}" no longer resolves to a conjunto or extra`
+    );
+  }
+  const isEpisode = usesShowLayout(parsedInfo, config.settings);
+  await fs.writeFile(
+    nfoPath,
+    await renderVideoNfo(
+      { outputDir, baseFilename, videoInfo, parsedInfo, existingNfo },
+      isEpisode,
+      config
+    )
+  );
+
+  const artworkDir = getArtworkDir(config.settings);
+  if (isEpisode) {
+    const episode = getEpisodeInfo(parsedInfo, config);
+    const showDir = path.dirname(outputDir);
+    const showNfoPath = path.join(showDir, "tvshow.nfo");
+    if (!(await fs.pathExists(showNfoPath))) {
+      await fs.writeFile(
+        showNfoPath,
+        generateTvShowNfo(episode, config.settings.nfo)
+      );
+    }
+    await writeFolderArtwork(
+      showDir,
+      "conjuntos",
+      parsedInfo.conjunto.name,
+      artworkDir,
+      logger
+    );
+  } else if (parsedInfo.conjunto && !parsedInfo.extra) {
+    await writeFolderArtwork(
+      outputDir,
+      "categories",
+      parsedInfo.conjunto.category,
+      artworkDir,
+      logger
+    );
+  }
+}
+
+/**
+ * Carry out the moves of a reorganize journal. Each video's files are moved
+ * together ("pending" → "moved"), then its NFO is rewritten ("moved" →
+ * "done"); the journal is saved after every step, so a run that stops
+ * halfway can pick up where it was. Files already at their destination are
+ * taken as moved. Folders the moved videos left empty are removed (see
+ * removeEmptyFolders), and the journal is cleared once every video is done.
+ * @param {string} baseDir - Base directory of the library
+ * @param {Object} trackingFiles - Paths to tracking files
+ * @param {Array<Object>} journal - Journal entries
+ * @param {Object} config - Loaded configuration
+ * @param {Object} overrides - Loaded overrides (see loadOverrides)
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<Object>} Stats { moved, failed, foldersRemoved, foldersKept }
+ */
+async function runJournal(
+  baseDir,
+  trackingFiles,
+  journal,
+  config,
+  overrides,
+  logger
+) {
+  const saveJournal = () =>
+    fs.writeJson(trackingFiles.reorganizePath, journal, { spaces: 2 });
+  const stats = { moved: 0, failed: 0, foldersRemoved: 0, foldersKept: 0 };
+  const sourceDirs = new Set();
+
+  for (const entry of journal) {
+    if (entry.status === "done") continue;
+    try {
+      if (entry.status === "pending") {
+        for (const move of entry.moves) {
+          const from = path.join(baseDir, move.from);
+          const to = path.join(baseDir, move.to);
+          if (await fs.pathExists(from)) {
+            await fs.move(from, to);
+          } else if (!(await fs.pathExists(to))) {
+            throw new Error(`${move.from} is missing`);
+          }
+        }
+        entry.status = "moved";
+        await saveJournal();
+      }
+      await finishMovedVideo(baseDir, entry, config, overrides, logger);
+      entry.status = "done";
+      await saveJournal();
+      // Folders of a video that failed halfway are left for the retry
+      for (const move of entry.moves) {
+        sourceDirs.add(path.dirname(path.join(baseDir, move.from)));
+      }
+      stats.moved++;
+      logger.info(`Moved ${entry.id} to ${path.dirname(entry.nfo)}`);
+    } catch (error) {
+      stats.failed++;
+      logger.error(`Failed to move ${entry.id} ("${entry.title}")`, {
+        error: error.message,
+      });
+    }
+  }
+
+  const keptDirs = new Set();
+  for (const dir of sourceDirs) {
+    const { removed, kept } = await removeEmptyFolders(dir, baseDir);
+    stats.foldersRemoved += removed.length;
+    if (kept) keptDirs.add(kept);
+  }
+  for (const dir of keptDirs) {
+    logger.info(
+      `Kept ${dir}: it has no videos left, only folder art or a tvshow.nfo`
+    );
+  }
+  stats.foldersKept = keptDirs.size;
+  if (journal.every((entry) => entry.status === "done")) {
+    await fs.writeJson(trackingFiles.reorganizePath, [], { spaces: 2 });
+  }
+  return stats;
+}
+
+/**
+ * Read the journal of the last reorganize run.
+ * @param {Object} trackingFiles - Paths to tracking files
+ * @returns {Promise<Array<Object>>} Journal entries ([] after a finished run)
+ */
+async function loadJournal(trackingFiles) {
+  const journal = await fs.readJson(trackingFiles.reorganizePath);
+  return Array.isArray(journal) ? journal : [];
+}
+
+/**
+ * Move downloaded videos to where the current configuration puts them
+ * (after a conjunto's name or category is corrected, or the layout or
+ * naming templates change). A video's media file, NFO, .info.json,
+ * chapters and artwork move together and its NFO is rewritten for the new
+ * names; emptied folders are removed. The moves are journaled in
+ * .tracking/reorganize.json (see runJournal, resumeReorganize and
+ * rollbackReorganize). The audio library is not covered: audio files have
+ * no .info.json to resolve them from.
+ * @param {string} baseDir - Base directory of the library
+ * @param {Object} trackingFiles - Paths to tracking files
+ * @param {Object} config - Loaded configuration
+ * @param {Object} logger - Logger instance
+ * @param {Object} [options] - { dryRun: plan the moves without making them }
+ * @returns {Promise<Object>} { stats: { videos, moved, unchanged, skipped, conflicts, failed, foldersRemoved, foldersKept }, entries, conflicts }
+ * @throws {Error} If an unfinished run left a journal (outside dry runs)
+ */
+export async function reorganizeLibrary(
+  baseDir,
+  trackingFiles,
+  config,
+  logger,
+  options = {}
+) {
+  const pending = (await loadJournal(trackingFiles)).filter(
+    (entry) => entry.status !== "done"
+  );
+  if (pending.length > 0 && !options.dryRun) {
+    throw new Error(
+      `An earlier reorganize did not finish (${pending.length} unfinished videos in ${trackingFiles.reorganizePath}); run it with --resume or --rollback first`
+    );
+  }
+  const overrides = await loadOverrides(trackingFiles.overridesPath, logger);
+  const plan = await planReorganize(
+    baseDir,
+    trackingFiles,
+    config,
+    overrides,
+    logger
+  );
+  const stats = {
+    ...plan.stats,
+    moved: 0,
+    failed: 0,
+    foldersRemoved: 0,
+    foldersKept: 0,
+  };
+  if (!options.dryRun && plan.entries.length > 0) {
+    await fs.writeJson(trackingFiles.reorganizePath, plan.entries, {
+      spaces: 2,
+    });
+    Object.assign(
+      stats,
+      await runJournal(
+        baseDir,
+        trackingFiles,
+        plan.entries,
+        config,
+        overrides,
+        logger
+      )
+    );
+  }
+  return { stats, entries: plan.entries, conflicts: plan.conflicts };
+}
+
+/**
+ * Finish the moves of an interrupted reorganize run (see runJournal).
+ * @param {string} baseDir - Base directory of the library
+ * @param {Object} trackingFiles - Paths to tracking files
+ * @param {Object} config - Loaded configuration
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<Object>} Stats { pending, moved, failed, foldersRemoved, foldersKept }
+ */
+export async function resumeReorganize(
+  baseDir,
+  trackingFiles,
+  config,
+  logger
+) {
+  const journal = await loadJournal(trackingFiles);
+  const pending = journal.filter((entry) => entry.status !== "done").length;
+  const overrides = await loadOverrides(trackingFiles.overridesPath, logger);
+  const stats = await runJournal(
+    baseDir,
+    trackingFiles,
+    journal,
+    config,
+    overrides,
+    logger
+  );
+  return { pending, ...stats };
+}
+
+/**
+ * Undo an interrupted reorganize run: every NFO the run may have rewritten
+ * (videos "moved" or "done") gets its journaled content back and every file
+ * that was moved returns to where it was, latest video first. Folders the
+ * run created are removed once the videos are out of them, and the journal
+ * is cleared. Folders removed by the run only ever held nothing, so they
+ * are recreated as files move back.
+ * @param {string} baseDir - Base directory of the library
+ * @param {Object} trackingFiles - Paths to tracking files
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<Object>} Stats { restored, failed, foldersRemoved }
+ */
+export async function rollbackReorganize(baseDir, trackingFiles, logger) {
+  const journal = await loadJournal(trackingFiles);
+  const stats = { restored: 0, failed: 0, foldersRemoved: 0 };
+  const createdFolders = new Set();
+
+  for (const entry of [...journal].reverse()) {
+    try {
+      const nfoPath = path.join(baseDir, entry.nfo);
+      // A "moved" video may have stopped right after its NFO was rewritten
+      if (entry.status !== "pending") {
+        if (entry.nfoBefore === null) {
+          await fs.remove(nfoPath);
+        } else {
+          await fs.writeFile(nfoPath, entry.nfoBefore);
+        }
+      }
+      let restored = false;
+      for (const move of [...entry.moves].reverse()) {
+        const from = path.join(baseDir, move.from);
+        const to = path.join(baseDir, move.to);
+        if ((await fs.pathExists(to)) && !(await fs.pathExists(from))) {
+          await fs.move(to, from);
+          restored = true;
+        }
+      }
+      entry.newFolders.forEach((folder) => createdFolders.add(folder));
+      if (restored) stats.restored++;
+    } catch (error) {
+      stats.failed++;
+      logger.error(`Failed to move ${entry.id} ("${entry.title}") back`, {
+        error: error.message,
+      });
+    }
+  }
+
+  stats.foldersRemoved = (
+    await removeCreatedFolders([...createdFolders], baseDir)
+  ).length;
+  if (stats.failed === 0) {
+    await fs.writeJson(trackingFiles.reorganizePath, [], { spaces: 2 });
+  }
+  return stats;
+}
@@ -1,4 +1,13 @@
 import { createLogger, format, transports } from "winston";
+import { writeAboveProgress } from "./progress.js";
+
+// Console output goes above the download progress block (see progress.js)
+// so log lines do not overwrite it or get overwritten by it
+class ProgressAwareConsole extends transports.Console {
+  log(info, callback) {
+    writeAboveProgress(() => super.log(info, callback));
+  }
+}
 
 // Configure logger with console and file transports
 const logger = createLogger({
@@ -6,7 +15,7 @@ const logger = createLogger({
   transports: [
     new transports.File({ filename: "error.log", level: "error" }),
     new transports.File({ filename: "combined.log" }),
-    new transports.Console({
+    new ProgressAwareConsole({
       format: format.combine(
         format.colorize(),
         format.timestamp(),
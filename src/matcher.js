@@ -0,0 +1,396 @@
+/**
+ * Conjunto name matching.
+ * Names are compared against runs of whole words in a title. A bigram index
+ * over the normalized names is built once per run (see createMatchIndex) so
+ * each title window is only compared, with Levenshtein distance, against the
+ * names that can possibly reach the candidate floor.
+ */
+
+// Names shorter than this (normalized) only match an identical run of words
+const minFuzzyNameLength = 6;
+// Leading articles that titles often drop ("Chevalier" for "Los Chevalier")
+const nameArticles = ["el", "la", "las", "los"];
+// Size of the n-grams used by the index
+const gramSize = 2;
+
+/**
+ * Split a string into normalized words (lowercase, no accents or apostrophes).
+ * @param {string} str - String to tokenize
+ * @returns {string[]} List of words
+ */
+export function tokenize(str) {
+  if (typeof str !== "string") return [];
+  return str
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "") // remove accents
+    .replace(/'/g, "") // "Choby's" -> "chobys"
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+/**
+ * Similarity of two already-normalized strings (normalized Levenshtein distance)
+ * @param {string} s1 - First string
+ * @param {string} s2 - Second string
+ * @returns {number} Similarity score between 0 and 1
+ */
+export function levenshteinSimilarity(s1, s2) {
+  const matrix = [];
+  let i, j;
+
+  for (i = 0; i <= s1.length; i++) {
+    matrix[i] = [i];
+  }
+
+  for (j = 0; j <= s2.length; j++) {
+    matrix[0][j] = j;
+  }
+
+  for (i = 1; i <= s1.length; i++) {
+    for (j = 1; j <= s2.length; j++) {
+      if (s1[i - 1] === s2[j - 1]) {
+        matrix[i][j] = matrix[i - 1][j - 1];
+      } else {
+        matrix[i][j] = Math.min(
+          matrix[i - 1][j - 1] + 1,
+          matrix[i][j - 1] + 1,
+          matrix[i - 1][j] + 1
+        );
+      }
+    }
+  }
+
+  const distance = matrix[s1.length][s2.length];
+  const maxLength = Math.max(s1.length, s2.length);
+  // Avoid division by zero for empty strings
+  if (maxLength === 0) return 1;
+  return (maxLength - distance) / maxLength;
+}
+
+/**
+ * Count the padded n-grams of a string.
+ * @param {string} str - Normalized string
+ * @returns {Map<string, number>} n-gram -> number of occurrences
+ */
+function countGrams(str) {
+  const padded = `^${str}$`;
+  const grams = new Map();
+  for (let i = 0; i + gramSize <= padded.length; i++) {
+    const gram = padded.slice(i, i + gramSize);
+    grams.set(gram, (grams.get(gram) || 0) + 1);
+  }
+  return grams;
+}
+
+/**
+ * Build the matching index for a roster.
+ * Each canonical name and alias becomes one variant; names starting with an
+ * article also get a variant without it, provided what remains is long
+ * enough to be matched fuzzily on its own. Short names are looked up by
+ * exact value, the others through bigram postings.
+ * @param {Object} conjuntos - Conjunto categories ({ category: [{ name, aliases }] })
+ * @param {Object} matching - Matching settings (threshold, candidateFloor, ...)
+ * @param {Object} [options] - { linear: true } scores every name for every window (no index)
+ * @returns {Object} Match index
+ */
+export function createMatchIndex(conjuntos, matching, { linear = false } = {}) {
+  const variants = [];
+  for (const [category, groupList] of Object.entries(conjuntos)) {
+    for (const entry of groupList) {
+      const names =
+        typeof entry === "string"
+          ? [entry]
+          : [entry.name, ...(entry.aliases || [])];
+      const canonicalName = names[0];
+      const yearCategories =
+        typeof entry === "string" ? null : entry.yearCategories || null;
+      for (const name of names) {
+        const tokens = tokenize(name);
+        if (tokens.length === 0) continue;
+        const tokenSets = [tokens];
+        const withoutArticle = tokens.slice(1);
+        if (
+          tokens.length > 1 &&
+          nameArticles.includes(tokens[0]) &&
+          withoutArticle.join("").length >= minFuzzyNameLength
+        ) {
+          tokenSets.push(withoutArticle);
+        }
+        for (const variantTokens of tokenSets) {
+          const joined = variantTokens.join("");
+          variants.push({
+            category,
+            canonicalName,
+            yearCategories,
+            name,
+            tokens: variantTokens,
+            joined,
+            exactOnly: joined.length < minFuzzyNameLength,
+          });
+        }
+      }
+    }
+  }
+
+  const exactByJoined = new Map();
+  const postings = new Map();
+  let maxTokens = 1;
+  variants.forEach((variant, variantIndex) => {
+    maxTokens = Math.max(maxTokens, variant.tokens.length);
+    if (variant.exactOnly) {
+      if (!exactByJoined.has(variant.joined)) exactByJoined.set(variant.joined, []);
+      exactByJoined.get(variant.joined).push(variantIndex);
+      return;
+    }
+    for (const [gram, count] of countGrams(variant.joined)) {
+      if (!postings.has(gram)) postings.set(gram, []);
+      postings.get(gram).push([variantIndex, count]);
+    }
+  });
+
+  // Scores below the floor are neither reported nor needed to pick a match
+  const floor = Math.min(
+    matching.candidateFloor ?? matching.threshold,
+    matching.threshold
+  );
+
+  return {
+    matching,
+    variants,
+    exactByJoined,
+    postings,
+    maxTokens,
+    floor,
+    // The count filter below only prunes safely for floors of at least 0.5
+    linear: linear || floor < 0.5,
+  };
+}
+
+/**
+ * Find the fuzzy variants that can reach the floor score against a window.
+ * Uses the q-gram count filter: two strings within edit distance d share at
+ * least max(|grams|) - q * d padded q-grams, so anything sharing fewer
+ * cannot reach the floor and is never compared.
+ * @param {Object} index - Match index
+ * @param {string} windowJoined - Normalized window text
+ * @returns {number[]} Variant indices to score
+ */
+function lookupCandidates(index, windowJoined) {
+  if (index.linear) {
+    return index.variants
+      .map((variant, variantIndex) => (variant.exactOnly ? -1 : variantIndex))
+      .filter((variantIndex) => variantIndex !== -1);
+  }
+
+  const shared = new Map();
+  for (const [gram, count] of countGrams(windowJoined)) {
+    for (const [variantIndex, variantCount] of index.postings.get(gram) || []) {
+      shared.set(
+        variantIndex,
+        (shared.get(variantIndex) || 0) + Math.min(count, variantCount)
+      );
+    }
+  }
+
+  const result = [];
+  for (const [variantIndex, sharedGrams] of shared) {
+    const variantLength = index.variants[variantIndex].joined.length;
+    const maxLength = Math.max(windowJoined.length, variantLength);
+    // Largest edit distance that still scores >= floor (epsilon for float error)
+    const maxDistance = Math.floor((1 - index.floor) * maxLength + 1e-9);
+    if (Math.abs(windowJoined.length - variantLength) > maxDistance) continue;
+    if (sharedGrams >= maxLength + gramSize - 1 - gramSize * maxDistance) {
+      result.push(variantIndex);
+    }
+  }
+  return result;
+}
+
+/**
+ * Score every name variant against runs of consecutive words in a title.
+ * Windows of one word fewer to one word more than the name are compared so
+ * joined or split spellings ("Momo Sapiens" / "Momosapiens") still match,
+ * but a name can never match letters that straddle word boundaries.
+ * @param {Object} index - Match index
+ * @param {string[]} titleTokens - Tokenized title
+ * @returns {Map<number, Object>} Variant index -> best window { score, start, end } (end exclusive)
+ */
+export function scoreTitleTokens(index, titleTokens) {
+  const best = new Map();
+  const record = (variantIndex, score, start, size) => {
+    const current = best.get(variantIndex);
+    if (!current || score > current.score) {
+      best.set(variantIndex, { score, start, end: start + size });
+    }
+  };
+  const fitsWindow = (variant, size) =>
+    size >= variant.tokens.length - 1 && size <= variant.tokens.length + 1;
+
+  const maxSize = Math.min(index.maxTokens + 1, titleTokens.length);
+  for (let size = 1; size <= maxSize; size++) {
+    for (let start = 0; start + size <= titleTokens.length; start++) {
+      const windowJoined = titleTokens.slice(start, start + size).join("");
+      for (const variantIndex of index.exactByJoined.get(windowJoined) || []) {
+        if (fitsWindow(index.variants[variantIndex], size)) {
+          record(variantIndex, 1, start, size);
+        }
+      }
+      for (const variantIndex of lookupCandidates(index, windowJoined)) {
+        const variant = index.variants[variantIndex];
+        if (!fitsWindow(variant, size)) continue;
+        const score = levenshteinSimilarity(windowJoined, variant.joined);
+        if (score >= index.floor) record(variantIndex, score, start, size);
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Helper function to find the best matching conjunto name from a title string.
+ * Every alias of a conjunto is compared, but the returned name is always the
+ * canonical one so files and NFOs end up under a single name.
+ * Names are compared against runs of whole words. When several conjuntos
+ * qualify, the highest score wins, and a longer name whose match covers the
+ * winner's words is preferred ("Fantasía Negra Añoranzas Negras" over
+ * "Fantasía Negra").
+ * When the year is known, conjuntos whose roster years do not include it only
+ * win if no conjunto active that year qualifies, and categories are those of
+ * that year.
+ * @param {string} titlePart - The string (title or part of it) to search within.
+ * @param {Object} index - Match index built by createMatchIndex.
+ * @param {Object} logger - Logger instance.
+ * @param {string} context - Logging context string (e.g., "(General)").
+ * @param {string|null} year - Contest year, if known.
+ * @returns {Object} { conjunto: { name, category }|null, score, ambiguous, activeInYear, candidates: Array<{ name, category, score, activeInYear }> }
+ */
+export function findBestConjuntoMatch(
+  titlePart,
+  index,
+  logger,
+  context = "",
+  year = null
+) {
+  const { threshold, ambiguityMargin, maxCandidates } = index.matching;
+  const noMatch = {
+    conjunto: null,
+    score: 0,
+    ambiguous: false,
+    activeInYear: null,
+    candidates: [],
+  };
+  if (!titlePart) return noMatch;
+
+  const titleTokens = tokenize(titlePart); // Tokenize the search string once
+  // logger.debug(`[findBestConjuntoMatch] ${context} Searching for conjunto matching tokens: ${titleTokens.join(" ")} (Original: "${titlePart}")`);
+
+  // Best window per canonical conjunto (variants visited in roster order)
+  const windowsByVariant = scoreTitleTokens(index, titleTokens);
+  const candidatesByConjunto = new Map();
+  for (const [variantIndex, window] of [...windowsByVariant].sort(
+    (a, b) => a[0] - b[0]
+  )) {
+    const variant = index.variants[variantIndex];
+    const key = `${variant.category}\u0000${variant.canonicalName}`;
+    const current = candidatesByConjunto.get(key);
+    if (!current || window.score > current.score) {
+      // null: no roster years listed (or year unknown), so any year is plausible
+      const yearCategory =
+        year && variant.yearCategories ? variant.yearCategories[year] : null;
+      candidatesByConjunto.set(key, {
+        name: variant.canonicalName,
+        category: yearCategory || variant.category,
+        activeInYear:
+          year && variant.yearCategories ? Boolean(yearCategory) : null,
+        matchedName: variant.name,
+        length: variant.joined.length,
+        ...window,
+      });
+    }
+  }
+
+  // Highest score first; on ties the longer (more specific) name wins
+  const ranked = [...candidatesByConjunto.values()].sort(
+    (a, b) => b.score - a.score || b.length - a.length
+  );
+  const top = ranked[0];
+  const qualifiedAnyYear = ranked.filter(
+    (candidate) => candidate.score >= threshold
+  );
+  // Conjuntos known not to have competed that year only win if nothing else qualifies
+  const activeQualified = qualifiedAnyYear.filter(
+    (candidate) => candidate.activeInYear !== false
+  );
+  const qualified =
+    activeQualified.length > 0 ? activeQualified : qualifiedAnyYear;
+
+  let best = qualified[0] || null;
+  if (best) {
+    // Prefer a longer qualifying name whose words include the winner's words
+    for (const candidate of qualified) {
+      if (
+        candidate.length > best.length &&
+        candidate.start <= best.start &&
+        candidate.end >= best.end
+      ) {
+        best = candidate;
+      }
+    }
+  }
+
+  // Put the chosen conjunto first, followed by the runners-up
+  const candidates = (best ? [best, ...ranked.filter((c) => c !== best)] : ranked)
+    .slice(0, maxCandidates)
+    .map((candidate) => ({
+      name: candidate.name,
+      category: candidate.category,
+      score: Number(candidate.score.toFixed(3)),
+      activeInYear: candidate.activeInYear,
+    }));
+
+  if (best) {
+    // A close runner-up that is not just a shorter name inside the winner's
+    // words means the title could belong to either conjunto
+    const ambiguous = qualified.some(
+      (candidate) =>
+        candidate !== best &&
+        candidate.score >= best.score - ambiguityMargin &&
+        !(
+          candidate.length < best.length &&
+          candidate.start >= best.start &&
+          candidate.end <= best.end
+        )
+    );
+    logger.debug(
+      `[findBestConjuntoMatch] ${context} Found match: ${best.name}${
+        best.matchedName !== best.name
+          ? ` (via alias "${best.matchedName}")`
+          : ""
+      } (Score: ${best.score.toFixed(3)}) >= Threshold ${threshold}${
+        ambiguous ? " [ambiguous]" : ""
+      }${best.activeInYear === false ? ` [not in ${year} roster]` : ""}`
+    );
+    return {
+      conjunto: { name: best.name, category: best.category },
+      score: best.score,
+      ambiguous,
+      activeInYear: best.activeInYear,
+      candidates,
+    };
+  } else {
+    if (top && top.score > 0.5) {
+      // Log if there was a near miss
+      logger.debug(
+        `[findBestConjuntoMatch] ${context} No conjunto match found for "${titlePart}". Highest score was ${top.score.toFixed(
+          3
+        )} for "${top.matchedName}", below threshold ${threshold}.`
+      );
+    } else {
+      logger.debug(
+        `[findBestConjuntoMatch] ${context} No conjunto match found for "${titlePart}". No potential matches found in config or score too low.`
+      );
+    }
+    return { ...noMatch, candidates };
+  }
+}
@@ -0,0 +1,129 @@
+import { findBestConjuntoMatch } from "./matcher.js";
+import { extractYear, matchRound } from "./parser.js";
+
+// Plausible carnival years (same range the title parser accepts)
+const yearPattern = /\b(19[89]\d|20\d{2})\b/g;
+// A year explicitly tied to the carnival ("Carnaval 2019", "Concurso Oficial 2019")
+const carnivalYearPattern =
+  /\b(?:carnaval|concurso(?:\s+oficial)?(?:\s+de\s+agrupaciones\s+carnavalescas)?)\s*(?:de\s+|del\s+)?(19[89]\d|20\d{2})\b/gi;
+
+/**
+ * Pick a single year out of free text.
+ * Years explicitly tied to the carnival win; otherwise the text must mention
+ * exactly one distinct year, since descriptions often list several (archive
+ * dates, anniversaries) and guessing between them misfiles the video.
+ * @param {string} text - Description or joined tags
+ * @returns {string|null} The year, or null if none or ambiguous
+ */
+function pickYearFromText(text) {
+  if (!text) return null;
+  const carnivalYears = new Set(
+    [...text.matchAll(carnivalYearPattern)].map((match) => match[1])
+  );
+  if (carnivalYears.size === 1) return [...carnivalYears][0];
+  if (carnivalYears.size > 1) return null;
+
+  const years = new Set([...text.matchAll(yearPattern)].map((m) => m[1]));
+  return years.size === 1 ? [...years][0] : null;
+}
+
+/**
+ * Infer the contest year from the upload date using the carnival season.
+ * The contest runs from late January to early March, so an upload within
+ * the season months belongs to that year's carnival. Uploads outside the
+ * season are too often archive material to say anything about the year.
+ * @param {string} uploadDate - yt-dlp upload_date (YYYYMMDD)
+ * @param {number[]} seasonMonths - Months (1-12) considered carnival season
+ * @returns {string|null} The year, or null if outside the season
+ */
+function pickYearFromUploadDate(uploadDate, seasonMonths) {
+  const match = /^(\d{4})(\d{2})\d{2}$/.exec(uploadDate || "");
+  if (!match) return null;
+  const month = parseInt(match[2], 10);
+  return seasonMonths.includes(month) ? match[1] : null;
+}
+
+/**
+ * Fill in the year and/or conjunto a title did not provide, using the full
+ * yt-dlp metadata (description, tags and upload date).
+ * Only missing values are inferred; the result records which metadata field
+ * supplied each of them in `sources` ("metadata:description",
+ * "metadata:tags" or "metadata:upload_date").
+ * @param {Object} videoInfo - Full yt-dlp metadata of the video
+ * @param {Object} parsedInfo - Result of parseVideoTitle (year may already be effective/forced)
+ * @param {Object} config - Loaded configuration
+ * @param {Object} logger - Logger instance
+ * @returns {Object} A copy of parsedInfo with inferred values filled in
+ */
+export function inferFromMetadata(videoInfo, parsedInfo, config, logger) {
+  const { enabled, seasonMonths } = config.settings.metadataInference;
+  const result = { ...parsedInfo, sources: { ...parsedInfo.sources } };
+  // Titles excluded on purpose (skip keywords) must stay excluded
+  if (!enabled || !videoInfo || parsedInfo.skippedKeyword) return result;
+
+  const description = videoInfo.description || "";
+  const tags = Array.isArray(videoInfo.tags) ? videoInfo.tags : [];
+  const videoId = videoInfo.id || "Unknown ID";
+
+  if (!result.conjunto) {
+    // Tags usually hold one name each; the description is a last resort
+    const fields = [
+      ...tags.map((tag) => ["tags", tag]),
+      ["description", description],
+    ];
+    for (const [field, text] of fields) {
+      const match = findBestConjuntoMatch(
+        text,
+        config.matchIndex,
+        logger,
+        `(Metadata ${field})`,
+        result.year
+      );
+      if (match.conjunto && !match.ambiguous) {
+        result.conjunto = match.conjunto;
+        result.confidence = Number(match.score.toFixed(3));
+        result.ambiguous = false;
+        result.activeInYear = match.activeInYear;
+        result.candidates = match.candidates;
+        result.sources.conjunto = `metadata:${field}`;
+        logger.info(
+          `[metadata] Inferred conjunto ${match.conjunto.name} for ${videoId} from ${field}.`
+        );
+        // The parser drops year and round when it finds no conjunto; recover them from the title
+        if (!result.year && extractYear(videoInfo.title)) {
+          result.year = extractYear(videoInfo.title);
+          result.sources.year = "title";
+        }
+        if (!result.round) {
+          const round = matchRound(videoInfo.title, config.settings.rounds);
+          if (round) {
+            result.round = round.name;
+            result.sources.round = "title";
+          }
+        }
+        break;
+      }
+    }
+  }
+
+  if (!result.year) {
+    const yearCandidates = [
+      ["description", pickYearFromText(description)],
+      ["tags", pickYearFromText(tags.join(" | "))],
+      [
+        "upload_date",
+        pickYearFromUploadDate(videoInfo.upload_date, seasonMonths),
+      ],
+    ];
+    const found = yearCandidates.find(([, year]) => year);
+    if (found) {
+      result.year = found[1];
+      result.sources.year = `metadata:${found[0]}`;
+      logger.info(
+        `[metadata] Inferred year ${found[1]} for ${videoId} from ${found[0]}.`
+      );
+    }
+  }
+
+  return result;
+}
@@ -0,0 +1,102 @@
+// Placeholders accepted by naming templates (settings.naming, keyword group
+// and audio folders)
+export const namingPlaceholders = [
+  "year",
+  "category",
+  "conjunto",
+  "round",
+  "etapa",
+  "id",
+  "extra",
+  "episode",
+];
+
+// Optional section of a template: "< - {round}>". Angle brackets cannot be
+// part of a file name on Windows or SMB shares, so they are free to use.
+const optionalSectionPattern = /<([^<>]*)>/g;
+const placeholderPattern = /\{(\w+)\}/g;
+// Names Windows (and so SMB shares and exFAT drives) will not create
+const reservedNamePattern = /^(con|prn|aux|nul|com\d|lpt\d)(\..*)?$/i;
+
+/**
+ * List the placeholders a template uses.
+ * @param {string} template - Naming template
+ * @returns {string[]} Placeholder names, in order of appearance
+ */
+export function getTemplatePlaceholders(template) {
+  return [...template.matchAll(placeholderPattern)].map((match) => match[1]);
+}
+
+/**
+ * Make a name safe to use as (part of) a file or folder name: reserved
+ * characters are swapped through `replacements` (path separators left
+ * unmapped become "-"), control characters dropped and, with
+ * `transliterate`, accents and other non-ASCII characters removed
+ * ("Agárrate Catalino" → "Agarrate Catalino").
+ * @param {string} value - Name to clean
+ * @param {Object} naming - settings.naming { replacements, transliterate }
+ * @returns {string} Cleaned name (whitespace collapsed)
+ */
+export function sanitizeName(value, { replacements, transliterate }) {
+  let name = "";
+  for (const char of String(value)) {
+    name += char in replacements ? replacements[char] : char;
+  }
+  name = name
+    .replace(/[\\/]/g, "-")
+    .replace(/[\u0000-\u001f\u007f]/g, "");
+  if (transliterate) {
+    name = name
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .replace(/[^\x20-\x7e]/g, "");
+  }
+  return name.replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Make one path component valid on every filesystem the library may be
+ * copied to: sanitized, no trailing dots or spaces, no reserved device
+ * names, at most `maxLength` characters, never empty.
+ * @param {string} component - File or folder name
+ * @param {Object} naming - settings.naming sanitization policy
+ * @returns {string} Path component
+ */
+export function toPathComponent(component, naming) {
+  const { maxLength } = naming;
+  let name = sanitizeName(component, naming);
+  // Counted by code point so a surrogate pair is never split
+  const chars = Array.from(name);
+  if (maxLength && chars.length > maxLength) {
+    name = chars.slice(0, maxLength).join("");
+  }
+  name = name.replace(/[\s.]+$/, "");
+  if (reservedNamePattern.test(name)) name = `${name}_`;
+  return name || "Unknown";
+}
+
+/**
+ * Fill a naming template. Placeholder values are sanitized (see
+ * sanitizeName) before they are inserted, so a "/" in a conjunto name
+ * cannot add a folder level. An optional section in angle brackets is
+ * left out when any placeholder in it has no value; a placeholder without
+ * a value outside of one becomes "Unknown".
+ * @param {string} template - Template, "/" separating folder levels
+ * @param {Object} values - Placeholder values (see namingPlaceholders)
+ * @param {Object} naming - settings.naming sanitization policy
+ * @returns {string[]} Path components
+ */
+export function fillTemplate(template, values, naming) {
+  const hasValue = (key) =>
+    values[key] !== undefined && values[key] !== null && values[key] !== "";
+  const filled = template
+    .replace(optionalSectionPattern, (section, body) =>
+      getTemplatePlaceholders(body).every(hasValue) ? body : ""
+    )
+    .replace(placeholderPattern, (placeholder, key) =>
+      hasValue(key) ? sanitizeName(values[key], naming) : "Unknown"
+    );
+  return filled
+    .split("/")
+    .map((component) => toPathComponent(component, naming));
+}
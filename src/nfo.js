@@ -0,0 +1,405 @@
+import fs from "fs-extra";
+import path from "path";
+import dayjs from "dayjs";
+import { trackingDirName } from "./state.js";
+
+// Entities an NFO may contain (the XML predefined ones and character references)
+const entityPattern = /^&(?:amp|lt|gt|quot|apos|#\d+|#x[0-9a-fA-F]+);/;
+const tagPattern =
+  /^<(\/?)([A-Za-z_][\w.-]*)((?:\s+[\w:.-]+\s*=\s*(?:"[^"<]*"|'[^'<]*'))*)\s*(\/?)>/;
+
+/**
+ * Escape text for use in XML content or attribute values.
+ * @param {*} value - Value to escape (null and undefined become "")
+ * @returns {string} Escaped text
+ */
+export function escapeXml(value) {
+  const str =
+    value === null || typeof value === "undefined" ? "" : String(value);
+  return str.replace(/[<>&'"]/g, (c) => {
+    switch (c) {
+      case "<":
+        return "&lt;";
+      case ">":
+        return "&gt;";
+      case "&":
+        return "&amp;";
+      case "'":
+        return "&apos;";
+      default:
+        return "&quot;";
+    }
+  });
+}
+
+/**
+ * Reverse escapeXml (character references included).
+ * @param {string} text - Escaped text
+ * @returns {string} Plain text
+ */
+export function unescapeXml(text) {
+  return String(text || "").replace(
+    /&(amp|lt|gt|quot|apos|#\d+|#x[0-9a-fA-F]+);/g,
+    (entity, name) => {
+      if (name[0] === "#") {
+        return String.fromCodePoint(
+          name[1] === "x"
+            ? parseInt(name.slice(2), 16)
+            : parseInt(name.slice(1), 10)
+        );
+      }
+      return { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" }[name];
+    }
+  );
+}
+
+/**
+ * A single-line NFO element.
+ * @param {string} name - Element name
+ * @param {*} value - Text (escaped here)
+ * @returns {string} XML
+ */
+function element(name, value) {
+  return `<${name}>${escapeXml(value)}</${name}>`;
+}
+
+/**
+ * Text of the first element with the given tag name in an NFO.
+ * @param {string} content - NFO content
+ * @param {string} tagName - Element name (attributes are ignored)
+ * @returns {string|null} Unescaped text, or null if the element is missing
+ */
+export function readNfoElement(content, tagName) {
+  const match = new RegExp(
+    `<${tagName}(?:\\s[^>]*)?>([^<]*)</${tagName}>`
+  ).exec(content);
+  return match ? unescapeXml(match[1]) : null;
+}
+
+/**
+ * Root element of an NFO ("movie", "episodedetails" or "tvshow").
+ * @param {string} content - NFO content
+ * @returns {string|null} Element name
+ */
+export function getNfoRoot(content) {
+  const match =
+    /^\uFEFF?\s*(?:<\?xml[^?]*\?>\s*)?(?:<!--[\s\S]*?-->\s*)*<([A-Za-z_][\w.-]*)/.exec(
+      content
+    );
+  return match ? match[1] : null;
+}
+
+/**
+ * NFO elements referencing a video's artwork files.
+ * @param {Object} artwork - Result of writeVideoArtwork
+ * @returns {string} XML lines (empty without artwork)
+ */
+export function renderArtworkXml(artwork) {
+  const lines = [];
+  if (artwork?.poster) {
+    lines.push(`<thumb aspect="poster">${escapeXml(artwork.poster)}</thumb>`);
+  }
+  if (artwork?.thumb) {
+    lines.push(`<thumb aspect="landscape">${escapeXml(artwork.thumb)}</thumb>`);
+  }
+  if (artwork?.clearlogo) {
+    lines.push(
+      `<thumb aspect="clearlogo">${escapeXml(artwork.clearlogo)}</thumb>`
+    );
+  }
+  if (artwork?.fanart) {
+    lines.push(`<fanart><thumb>${escapeXml(artwork.fanart)}</thumb></fanart>`);
+  }
+  return lines.map((line) => `    ${line}`).join("\n");
+}
+
+/**
+ * Premiere date of a video: its release date (set for premieres and live
+ * streams) or else its upload date, as long as it falls in the contest year.
+ * Archive uploads made years later would otherwise date the performance
+ * wrongly, and Kodi takes the year from <premiered> when present.
+ * @param {Object} videoInfo - yt-dlp metadata { release_date, upload_date }
+ * @param {string} year - Contest year
+ * @returns {string|null} YYYY-MM-DD
+ */
+function getPremiered(videoInfo, year) {
+  for (const date of [videoInfo.release_date, videoInfo.upload_date]) {
+    const match = /^(\d{4})(\d{2})(\d{2})$/.exec(date || "");
+    if (match && match[1] === String(year)) {
+      return `${match[1]}-${match[2]}-${match[3]}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Rating elements in the style of the media center.
+ * @param {number} averageRating - yt-dlp average_rating (0-5)
+ * @param {string} ratingStyle - "ratings" (Kodi block) or "rating" (single 0-10 value)
+ * @returns {string[]} XML lines
+ */
+function renderRating(averageRating, ratingStyle) {
+  if (ratingStyle === "rating") {
+    return [`<rating>${(averageRating * 2).toFixed(1)}</rating>`];
+  }
+  return [
+    "<ratings>",
+    '    <rating name="youtube" max="5" default="true">',
+    `        <value>${averageRating}</value>`,
+    "    </rating>",
+    "</ratings>",
+  ];
+}
+
+/**
+ * Wrap NFO elements in their root element.
+ * @param {string} root - Root element name
+ * @param {string[]} lines - Element lines
+ * @param {string} [artworkXml] - Result of renderArtworkXml
+ * @returns {string} NFO content
+ */
+function renderNfo(root, lines, artworkXml = "") {
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes" ?>
+<${root}>
+${lines.map((line) => `    ${line}`).join("\n")}${
+    artworkXml ? `\n${artworkXml}` : ""
+  }
+</${root}>`;
+}
+
+/**
+ * Build the NFO of a video: a movie, or in the TV-show layout an episode
+ * (<episodedetails> with show title, season and episode, and <aired>
+ * instead of <premiered>).
+ * Optional elements (collection set, premiered, studio, tags, runtime,
+ * source URL, rating) follow nfoSettings; without it only the basic
+ * elements are written.
+ * @param {Object} videoInfo - yt-dlp metadata { title, description, id, ... }
+ * @param {Object} parsedInfo - { conjunto, year, round, extra, etapa }
+ * @param {Object} [options] - { quality, artwork, dateAdded, nfoSettings, episode }
+ *   (`quality` is the profile the file was downloaded with; `artwork` the
+ *   result of writeVideoArtwork; `dateAdded` is kept from an earlier NFO and
+ *   defaults to now; `nfoSettings` is settings.nfo; `episode` comes from
+ *   getEpisodeInfo)
+ * @returns {string} NFO content
+ */
+export function generateNfoContent(
+  videoInfo,
+  { conjunto, year, round = null, extra = null, etapa = null },
+  {
+    quality = null,
+    artwork = null,
+    dateAdded = null,
+    nfoSettings = null,
+    episode = null,
+  } = {}
+) {
+  const safeVideoInfo = videoInfo || {
+    title: "Unknown Title",
+    description: "",
+    id: "Unknown ID",
+  };
+  // Extras may have no conjunto; they are then named after the video title
+  const safeConjunto =
+    conjunto ||
+    (extra
+      ? { name: safeVideoInfo.title, category: null }
+      : { name: "Unknown", category: "Unknown" });
+  const safeYear = year || "Unknown Year";
+  const label = extra ? extra.label : round;
+  const fields = nfoSettings || {};
+  const style = nfoSettings
+    ? nfoSettings.mediaCenters[nfoSettings.mediaCenter]
+    : {};
+
+  // Episodes are listed under their show, so the round alone names them
+  const title = episode
+    ? label || `${safeConjunto.name} ${safeYear}`
+    : label
+    ? `${safeConjunto.name} ${safeYear} - ${label}`
+    : `${safeConjunto.name} ${safeYear}`;
+  const videoId = safeVideoInfo.id;
+
+  const lines = [
+    element("title", title),
+    element("originaltitle", safeVideoInfo.title),
+    element(
+      "sorttitle",
+      `${safeConjunto.name} ${safeYear}${label ? ` ${label}` : ""}`
+    ),
+  ];
+  if (episode) {
+    lines.push(
+      element("showtitle", episode.showTitle),
+      element("season", episode.season),
+      element("episode", episode.episode)
+    );
+  } else if (fields.set && conjunto) {
+    lines.push(
+      style.setStyle === "text"
+        ? element("set", conjunto.name)
+        : `<set>${element("name", conjunto.name)}</set>`
+    );
+  }
+  lines.push(element("year", safeYear));
+  const premiered = fields.premiered && getPremiered(safeVideoInfo, year);
+  if (premiered) {
+    lines.push(element(episode ? "aired" : "premiered", premiered));
+  }
+
+  lines.push(element("genre", "Carnival"));
+  if (extra) lines.push(element("genre", extra.genre));
+  if (safeConjunto.category) {
+    lines.push(element("genre", safeConjunto.category));
+  }
+  if (round) lines.push(element("genre", round));
+  if (fields.tags) {
+    if (conjunto?.category) lines.push(element("tag", conjunto.category));
+    if (round) lines.push(element("tag", round));
+    if (etapa) lines.push(element("tag", `Etapa ${etapa}`));
+  }
+
+  lines.push(element("plot", safeVideoInfo.description));
+  if (fields.runtime && safeVideoInfo.duration) {
+    lines.push(element("runtime", Math.round(safeVideoInfo.duration / 60)));
+  }
+  const studio = safeVideoInfo.channel || safeVideoInfo.uploader;
+  if (fields.studio && studio) lines.push(element("studio", studio));
+  if (fields.ratings && typeof safeVideoInfo.average_rating === "number") {
+    lines.push(
+      ...renderRating(safeVideoInfo.average_rating, style.ratingStyle)
+    );
+  }
+
+  lines.push(
+    element("source", "YouTube"),
+    element("id", videoId),
+    `<uniqueid type="YouTube" default="true">${escapeXml(videoId)}</uniqueid>`
+  );
+  if (fields.sourceUrl && videoId !== "Unknown ID") {
+    lines.push(
+      element(
+        "website",
+        safeVideoInfo.webpage_url ||
+          `https://www.youtube.com/watch?v=${videoId}`
+      )
+    );
+  }
+  lines.push(element("dateadded", dateAdded || dayjs().format()));
+  if (quality) lines.push(element("qualityprofile", quality.name));
+
+  return renderNfo(
+    episode ? "episodedetails" : "movie",
+    lines,
+    renderArtworkXml(artwork)
+  );
+}
+
+/**
+ * Build the tvshow.nfo of a conjunto in the TV-show layout.
+ * Kodi picks up the show's poster, fanart and clearlogo from its folder.
+ * @param {Object} show - { showTitle, showCategory } (see getEpisodeInfo)
+ * @param {Object|null} nfoSettings - settings.nfo (for tags)
+ * @returns {string} NFO content
+ */
+export function generateTvShowNfo({ showTitle, showCategory }, nfoSettings) {
+  const lines = [
+    element("title", showTitle),
+    element("sorttitle", showTitle),
+    element("genre", "Carnival"),
+  ];
+  if (showCategory) {
+    lines.push(element("genre", showCategory));
+    if (nfoSettings?.tags) lines.push(element("tag", showCategory));
+  }
+  return renderNfo("tvshow", lines);
+}
+
+/**
+ * Check that an NFO is well-formed XML: a single root element, properly
+ * nested tags, quoted attributes and no bare "&" or "<" in text.
+ * This is not a full XML parser (no DTDs or CDATA), which NFOs do not use.
+ * @param {string} content - NFO content
+ * @returns {string[]} Problems found, with line numbers (empty if valid)
+ */
+export function validateNfoXml(content) {
+  const errors = [];
+  const lineAt = (index) => content.slice(0, index).split("\n").length;
+  const checkText = (text, start) => {
+    for (let i = text.indexOf("&"); i !== -1; i = text.indexOf("&", i + 1)) {
+      if (!entityPattern.test(text.slice(i))) {
+        errors.push(`Line ${lineAt(start + i)}: unescaped "&"`);
+      }
+    }
+  };
+
+  const open = [];
+  let rootCount = 0;
+  let index = /^\uFEFF?<\?xml[^?]*\?>/.exec(content)?.[0].length || 0;
+  while (index < content.length && errors.length === 0) {
+    const next = content.indexOf("<", index);
+    const text = content.slice(index, next === -1 ? content.length : next);
+    if (open.length === 0 && text.trim()) {
+      errors.push(`Line ${lineAt(index)}: text outside the root element`);
+    }
+    checkText(text, index);
+    if (next === -1) break;
+
+    const rest = content.slice(next);
+    if (rest.startsWith("<!--")) {
+      const end = content.indexOf("-->", next);
+      if (end === -1) errors.push(`Line ${lineAt(next)}: unclosed comment`);
+      index = end === -1 ? content.length : end + 3;
+      continue;
+    }
+    const tag = tagPattern.exec(rest);
+    if (!tag) {
+      errors.push(`Line ${lineAt(next)}: malformed tag or unescaped "<"`);
+      break;
+    }
+    const [whole, closing, name, attributes, selfClosing] = tag;
+    checkText(attributes, next);
+    if (closing) {
+      const expected = open.pop();
+      if (expected !== name) {
+        errors.push(
+          `Line ${lineAt(next)}: </${name}> does not close ${
+            expected ? `<${expected}>` : "any element"
+          }`
+        );
+      }
+    } else {
+      if (open.length === 0 && ++rootCount > 1) {
+        errors.push(`Line ${lineAt(next)}: more than one root element`);
+      }
+      if (!selfClosing) open.push(name);
+    }
+    index = next + whole.length;
+  }
+
+  if (errors.length === 0 && open.length > 0) {
+    errors.push(`Unclosed element <${open[open.length - 1]}>`);
+  }
+  if (errors.length === 0 && rootCount === 0) {
+    errors.push("No root element");
+  }
+  return errors;
+}
+
+/**
+ * List the NFO files of the library, skipping the tracking directory.
+ * @param {string} dir - Directory to search
+ * @returns {Promise<string[]>} NFO paths
+ */
+export async function findNfoFiles(dir) {
+  const nfoPaths = [];
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory() && entry.name !== trackingDirName) {
+      nfoPaths.push(...(await findNfoFiles(entryPath)));
+    } else if (entry.isFile() && entry.name.endsWith(".nfo")) {
+      nfoPaths.push(entryPath);
+    }
+  }
+  return nfoPaths;
+}
@@ -0,0 +1,153 @@
+import dayjs from "dayjs";
+import { normalizeString } from "./parser.js";
+import { findConjuntoByName } from "./config.js";
+import {
+  readTrackingJson,
+  writeTrackingJson,
+  withTrackingLock,
+} from "./state.js";
+
+/**
+ * Key used to match an override against a title, so a re-upload with the
+ * same title (ignoring case, accents, spacing and punctuation) reuses it.
+ * @param {string} title - Video title
+ * @returns {string} Normalized title key
+ */
+export function getTitleKey(title) {
+  return normalizeString(title);
+}
+
+/**
+ * Load the overrides store (.tracking/overrides.json) into lookup maps.
+ * @param {string} overridesPath - Path to overrides.json
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<Object>} { byId: Map, byTitle: Map }
+ */
+export async function loadOverrides(overridesPath, logger) {
+  const entries = await readTrackingJson(overridesPath);
+  const overrides = { byId: new Map(), byTitle: new Map() };
+  for (const entry of entries) {
+    if (!entry || !entry.id) continue;
+    overrides.byId.set(entry.id, entry);
+    const titleKey = getTitleKey(entry.title);
+    if (titleKey) overrides.byTitle.set(titleKey, entry);
+  }
+  logger.info(
+    `Loaded ${overrides.byId.size} title override(s) from ${overridesPath}`
+  );
+  return overrides;
+}
+
+/**
+ * Find the override for a video, by video ID first and then by title.
+ * @param {Object} overrides - Loaded overrides (see loadOverrides)
+ * @param {string} videoId - Video ID
+ * @param {string} title - Current video title
+ * @returns {Object|null} { entry, matchedBy: "id"|"title" } or null
+ */
+export function findOverride(overrides, videoId, title) {
+  if (!overrides) return null;
+  if (videoId && overrides.byId.has(videoId)) {
+    return { entry: overrides.byId.get(videoId), matchedBy: "id" };
+  }
+  const titleKey = getTitleKey(title);
+  if (titleKey && overrides.byTitle.has(titleKey)) {
+    return { entry: overrides.byTitle.get(titleKey), matchedBy: "title" };
+  }
+  return null;
+}
+
+/**
+ * Replace parsed values with those of a confirmed correction.
+ * Only the fields the reviewer set are replaced; the conjunto is mapped back
+ * onto the current roster so renames and aliases still resolve. Sources of
+ * replaced fields become "override:id" or "override:title".
+ * @param {Object} parsedInfo - Result of parseVideoTitle
+ * @param {Object} override - Result of findOverride
+ * @param {Object} config - Loaded configuration
+ * @returns {Object} A copy of parsedInfo with the override applied
+ */
+export function applyOverride(parsedInfo, { entry, matchedBy }, config) {
+  const source = `override:${matchedBy}`;
+  const result = { ...parsedInfo, sources: { ...parsedInfo.sources } };
+  if (entry.year) {
+    result.year = String(entry.year);
+    result.sources.year = source;
+  }
+  if (entry.conjunto?.name) {
+    result.conjunto =
+      findConjuntoByName(config, entry.conjunto.name, normalizeString) ||
+      entry.conjunto;
+    result.confidence = 1;
+    result.ambiguous = false;
+    result.sources.conjunto = source;
+  }
+  if ("round" in entry) {
+    result.round = entry.round;
+    result.sources.round = source;
+  }
+  return result;
+}
+
+/**
+ * Copy the values a check_later entry is created with into its `suggested`
+ * field, so the fields a reviewer later edits can be told apart from the
+ * unreviewed guesses (see getReviewedCorrection).
+ * @param {Object} entry - check_later entry { year, conjunto, round, ... }
+ * @returns {Object} The entry with `suggested` { year, conjunto, round }
+ */
+export function withSuggestion(entry) {
+  const { year = null, conjunto = null, round = null } = entry;
+  return { ...entry, suggested: { year, conjunto, round } };
+}
+
+/**
+ * The correction a reviewer made to a check_later item: the year, conjunto
+ * and round that differ from the values it was created with, or all of
+ * them when the reviewer set `"confirmed": true`. Items created before
+ * guesses were recorded only count as reviewed when confirmed.
+ * @param {Object} item - check_later item
+ * @returns {Object} { year?, conjunto?, round? } (empty when nothing was reviewed)
+ */
+export function getReviewedCorrection(item) {
+  const guess = item.confirmed === true ? {} : item.suggested;
+  if (!guess) return {};
+  const correction = {};
+  if (item.year && String(item.year) !== String(guess.year ?? "")) {
+    correction.year = String(item.year);
+  }
+  if (
+    item.conjunto?.name &&
+    item.conjunto.category &&
+    (item.conjunto.name !== guess.conjunto?.name ||
+      item.conjunto.category !== guess.conjunto?.category)
+  ) {
+    correction.conjunto = {
+      name: item.conjunto.name,
+      category: item.conjunto.category,
+    };
+  }
+  if (typeof item.round === "string" && item.round !== guess.round) {
+    correction.round = item.round;
+  }
+  return correction;
+}
+
+/**
+ * Persist a confirmed correction, replacing any earlier one for the same video.
+ * @param {string} overridesPath - Path to overrides.json
+ * @param {Object} correction - { id, title, year?, conjunto?, round? }
+ * @param {Object} logger - Logger instance
+ */
+export async function recordOverride(overridesPath, correction, logger) {
+  await withTrackingLock(async () => {
+    const entries = (await readTrackingJson(overridesPath)).filter(
+      (entry) => entry?.id !== correction.id
+    );
+    entries.push({ ...correction, recordedAt: dayjs().format() });
+    await writeTrackingJson(overridesPath, entries);
+  });
+  logger.info(
+    `Recorded title override for ${correction.id} ("${correction.title}").`
+  );
+}
@@ -1,5 +1,9 @@
 import logger from "./logger.js";
-import { loadConfig } from "./config.js"; // Make sure this is imported if used by testParser
+import {
+  findBestConjuntoMatch,
+  levenshteinSimilarity,
+  tokenize,
+} from "./matcher.js";
 
 /**
  * Normalize a string by removing accents, spaces, and special characters
@@ -18,145 +22,189 @@ export function normalizeString(str) {
 }
 
 /**
- * Calculate similarity between two strings
+ * Calculate similarity between two strings (normalized Levenshtein distance)
  * @param {string} str1 - First string
  * @param {string} str2 - Second string
  * @returns {number} Similarity score between 0 and 1
  */
 export function calculateSimilarity(str1, str2) {
   // Exported here
-  const s1 = normalizeString(str1);
-  const s2 = normalizeString(str2);
-
-  // First check for exact inclusion
-  if (s1.includes(s2) || s2.includes(s1)) {
-    return 1;
-  }
-
-  // Calculate Levenshtein distance
-  const matrix = [];
-  let i, j;
-
-  for (i = 0; i <= s1.length; i++) {
-    matrix[i] = [i];
-  }
-
-  for (j = 0; j <= s2.length; j++) {
-    matrix[0][j] = j;
-  }
+  return levenshteinSimilarity(normalizeString(str1), normalizeString(str2));
+}
 
-  for (i = 1; i <= s1.length; i++) {
-    for (j = 1; j <= s2.length; j++) {
-      if (s1[i - 1] === s2[j - 1]) {
-        matrix[i][j] = matrix[i - 1][j - 1];
-      } else {
-        matrix[i][j] = Math.min(
-          matrix[i - 1][j - 1] + 1,
-          matrix[i][j - 1] + 1,
-          matrix[i - 1][j] + 1
-        );
+/**
+ * Find a known round inside a string using the configured round table.
+ * A round variant matches a run of whole words (so "Final" does not match
+ * "Semifinal"); when several variants match, the longest one wins.
+ * @param {string} text - Title or title fragment
+ * @param {Array<Object>} rounds - Compiled round table (settings.rounds)
+ * @returns {Object|null} The matching round { name, priority, ... } or null if none found
+ */
+export function matchRound(text, rounds) {
+  const tokens = tokenize(text);
+  let best = null;
+  let bestLength = 0;
+  for (const round of rounds) {
+    for (const variant of round.matchVariants) {
+      if (variant.joined.length <= bestLength) continue;
+      const maxSize = Math.min(variant.tokenCount + 1, tokens.length);
+      for (let size = 1; size <= maxSize; size++) {
+        for (let start = 0; start + size <= tokens.length; start++) {
+          if (tokens.slice(start, start + size).join("") === variant.joined) {
+            best = round;
+            bestLength = variant.joined.length;
+          }
+        }
       }
     }
   }
-
-  const distance = matrix[s1.length][s2.length];
-  const maxLength = Math.max(s1.length, s2.length);
-  // Avoid division by zero for empty strings
-  if (maxLength === 0) return 1;
-  return (maxLength - distance) / maxLength;
+  return best;
 }
 
 /**
- * Helper function to find the best matching conjunto name from a title string.
- * @param {string} titlePart - The string (title or part of it) to search within.
- * @param {Object} conjuntos - The configuration object.
- * @param {number} threshold - The minimum similarity score required.
- * @param {Object} logger - Logger instance.
- * @param {string} context - Logging context string (e.g., "(General)").
- * @returns {Object|null} The best matching conjunto { name, category } or null.
+ * Find the first plausible carnival year (1980-2099) in a string.
+ * @param {string} text - Title or other text
+ * @returns {string|null} The year, or null if none found
  */
-function findBestConjuntoMatch(
-  titlePart,
-  conjuntos,
-  threshold,
-  logger,
-  context = ""
-) {
-  let bestMatch = null;
-  let bestScore = 0;
-  let bestMatchCandidateName = null; // Store the name that gave the best score
+export function extractYear(text) {
+  const yearMatch = (text || "").match(/\b(19[89]\d|20\d{2})\b/);
+  return yearMatch ? yearMatch[0] : null;
+}
 
-  if (!titlePart) return null;
+/**
+ * Get the priority of a round name (canonical name or any spelling variant).
+ * Used to keep only the highest round per conjunto/year.
+ * @param {string|null} roundName - Round name
+ * @param {Array<Object>} rounds - Compiled round table (settings.rounds)
+ * @returns {number} Priority (0 if no round or unknown round)
+ */
+export function getRoundPriority(roundName, rounds) {
+  if (!roundName) return 0; // No round specified
+  const round = matchRound(roundName, rounds);
+  return round ? round.priority : 0; // Unknown round type treated as lowest
+}
 
-  const normalizedTitlePart = normalizeString(titlePart); // Normalize the search string once
-  // logger.debug(`[findBestConjuntoMatch] ${context} Searching for conjunto matching normalized: "${normalizedTitlePart}" (Original: "${titlePart}")`);
+/**
+ * Try a single title format rule against a title.
+ * Values come from the rule's named groups (year, etapa, name, round) or from
+ * its `fixed` values. The rule only succeeds if the round (when the rule
+ * provides one) and the conjunto can both be resolved.
+ * @param {Object} rule - Compiled title format rule (see compileTitleFormats)
+ * @param {string} title - Video title
+ * @param {Object} config - Loaded configuration { categories, settings, matchIndex }
+ * @returns {Object|null} { year, etapa (number), round, match, sources } or null if the rule does not apply
+ */
+function applyTitleFormat(rule, title, config) {
+  const match = title.match(rule.regex);
+  if (!match) return null;
+
+  const groups = match.groups || {};
+  const sources = {};
+  const pick = (key) => {
+    let value = groups[key];
+    let source = `format:${rule.id}`;
+    if (value === undefined) {
+      value = rule.fixed[key];
+      source = `format:${rule.id} (fixed)`;
+    }
+    if (typeof value !== "string" || !value.trim()) return null;
+    sources[key] = source;
+    return value.trim();
+  };
+  const namePart = pick("name");
+  const roundPart = pick("round");
+  const yearPart = pick("year");
+  logger.debug(
+    `[parser] Matched Format "${rule.id}" Structure - Extracted Name: "${namePart}", Round: "${roundPart}"`
+  );
 
-  for (const [category, groupList] of Object.entries(conjuntos)) {
-    for (const name of groupList) {
-      const normalizedName = normalizeString(name);
-      const similarity = calculateSimilarity(
-        normalizedTitlePart,
-        normalizedName
+  let round = null;
+  if (roundPart) {
+    round = matchRound(roundPart, config.settings.rounds)?.name || null;
+    if (!round) {
+      logger.debug(
+        `[parser] Format "${rule.id}": Matched structure but round part "${roundPart}" invalid. Allowing fallback.`
       );
-
-      // Reduce verbosity slightly - only log scores above a lower bound, e.g., 0.5
-      // if (similarity > 0.5) {
-      //     logger.debug(`[findBestConjuntoMatch] ${context} Comparing "${normalizedTitlePart}" with "${normalizedName}" (${name}): Score=${similarity.toFixed(3)}`);
-      // }
-
-      if (similarity > bestScore) {
-        bestScore = similarity;
-        bestMatchCandidateName = name; // Remember the name for logging
-        if (similarity >= threshold) {
-          bestMatch = { name, category };
-        }
-      }
+      return null;
     }
   }
 
-  if (bestMatch) {
+  const conjuntoMatch = findBestConjuntoMatch(
+    namePart,
+    config.matchIndex,
+    logger,
+    `(Format ${rule.id})`,
+    yearPart
+  );
+  if (!conjuntoMatch.conjunto) {
     logger.debug(
-      `[findBestConjuntoMatch] ${context} Found match: ${
-        bestMatch.name
-      } (Score: ${bestScore.toFixed(3)}) >= Threshold ${threshold}`
+      `[parser] Format "${rule.id}": Matched structure but failed to find conjunto for "${namePart}". Discarding partial result, allowing fallback.`
     );
-    return bestMatch;
-  } else {
-    if (bestScore > 0.5) {
-      // Log if there was a near miss
-      logger.debug(
-        `[findBestConjuntoMatch] ${context} No conjunto match found for "${titlePart}". Highest score was ${bestScore.toFixed(
-          3
-        )} for "${bestMatchCandidateName}", below threshold ${threshold}.`
-      );
-    } else {
-      logger.debug(
-        `[findBestConjuntoMatch] ${context} No conjunto match found for "${titlePart}". No potential matches found in config or score too low.`
-      );
-    }
     return null;
   }
+
+  const etapaPart = pick("etapa");
+  return {
+    year: yearPart,
+    etapa: etapaPart ? parseInt(etapaPart, 10) || null : null,
+    round,
+    match: conjuntoMatch,
+    sources: {
+      year: sources.year || null,
+      round: sources.round || null,
+      conjunto: sources.name,
+    },
+  };
+}
+
+/**
+ * Build the parse result returned when nothing usable was found.
+ * @param {Array<Object>} candidates - Near-miss conjunto candidates, if any
+ * @param {string|null} skippedKeyword - Skip keyword that excluded the title, if any
+ * @returns {Object} Empty parse result
+ */
+function createEmptyResult(candidates = [], skippedKeyword = null) {
+  return {
+    skippedKeyword,
+    extra: null,
+    year: null,
+    conjunto: null,
+    round: null,
+    etapa: null,
+    isAlternativeFormat: false,
+    confidence: 0,
+    ambiguous: false,
+    activeInYear: null,
+    candidates,
+    formatRule: null,
+    sources: { year: null, round: null, conjunto: null },
+  };
 }
 
 /**
  * Parse video title to extract year, conjunto, and round information.
- * Tries specific formats first, then falls back to general matching.
+ * Tries the configured title format rules first, then falls back to general matching.
+ * Besides the parsed values, the result carries a `confidence` (the score of
+ * the conjunto match), an `ambiguous` flag, the top conjunto `candidates`
+ * with their scores, the `formatRule` that matched (if any) and the
+ * `sources` of year, round and conjunto ("format:<id>", "format:<id> (fixed)" or "title").
+ * Conjuntos active in the parsed year are preferred, the category is the one
+ * of that year, and `activeInYear` is false when the conjunto's roster years
+ * do not include it (null when it lists no years or no year was found).
+ * Titles matching an "extra" keyword group carry that group in `extra` and
+ * may have no conjunto; titles matching a "skip" group report `skippedKeyword`.
+ * The `etapa` (a number) is only known when a title format rule captures it.
  * @param {string} title - Video title to parse
- * @param {Object} conjuntos - Configuration object containing conjunto definitions
- * @returns {Object} Parsed info: { year: string|null, conjunto: { name, category }|null, round: string|null, isAlternativeFormat: boolean }
+ * @param {Object} config - Loaded configuration { categories, settings, matchIndex }
+ * @returns {Object} Parsed info: { skippedKeyword, extra, year, conjunto: { name, category }|null, round, etapa, isAlternativeFormat, confidence, ambiguous, activeInYear, candidates, formatRule, sources }
  */
-export function parseVideoTitle(title, conjuntos) {
+export function parseVideoTitle(title, config) {
   // Exported here
   if (!title || typeof title !== "string") {
     logger.warn(
       "[parser] Attempted to parse an empty, null, or non-string title."
     );
-    return {
-      year: null,
-      conjunto: null,
-      round: null,
-      isAlternativeFormat: false,
-    };
+    return createEmptyResult();
   }
   // Handle specific non-content titles early
   if (
@@ -164,284 +212,145 @@ export function parseVideoTitle(title, conjuntos) {
     title.startsWith("[Deleted video]")
   ) {
     logger.info(`[parser] Skipping special title: ${title}`);
-    return {
-      year: null,
-      conjunto: null,
-      round: null,
-      isAlternativeFormat: false,
-    };
+    return createEmptyResult();
   }
 
   logger.info(`[parser] Parsing video title: ${title}`);
 
-  // --- Skip certain types of videos based on keywords ---
-  const normalizedTitleForSkip = normalizeString(title);
-  const skipKeywords = [
-    "pruebadeadmision",
-    "desfile",
-    "llamadas",
-    "primerpremio", // Added "primerpremio"
-  ];
-  const foundSkipKeyword = skipKeywords.find((kw) =>
-    normalizedTitleForSkip.includes(kw)
-  );
-  if (foundSkipKeyword) {
+  // --- Skip or route certain types of videos based on keywords (settings.keywordGroups) ---
+  const normalizedTitleForKeywords = normalizeString(title);
+  let extra = null;
+  for (const group of config.settings.keywordGroups) {
+    const foundKeyword = group.keywords.find((kw) =>
+      normalizedTitleForKeywords.includes(normalizeString(kw))
+    );
+    if (!foundKeyword) continue;
+    if (group.action === "skip") {
+      logger.info(
+        `[parser] Skipping video based on title keyword: "${foundKeyword}"`
+      );
+      return createEmptyResult([], foundKeyword);
+    }
     logger.info(
-      `[parser] Skipping video based on title keyword: "${foundSkipKeyword}"`
+      `[parser] Title keyword "${foundKeyword}" routes video to extras section "${group.label}"`
     );
-    return {
-      year: null,
-      conjunto: null,
-      round: null,
-      isAlternativeFormat: false,
+    extra = {
+      id: group.id,
+      label: group.label,
+      folder: group.folder,
+      genre: group.genre,
     };
+    break;
   }
-  // --- End Skip Logic ---
+  // --- End Keyword Logic ---
 
   let year = null;
-  let conjunto = null;
   let round = null;
+  let etapa = null;
+  let conjuntoMatch = null;
+  let formatRule = null;
+  let sources = { year: null, round: null, conjunto: null };
   let isAlternativeFormat = false; // Flag if a specific non-standard format matched
 
-  // Define round keywords and their normalized forms for matching later
-  const roundKeywords = {
-    "Primera Rueda": "primerarueda",
-    "1ra Rueda": "1rarueda", // Add variations
-    "1era Rueda": "1erarueda",
-    "Segunda Rueda": "segundarueda",
-    "2da Rueda": "2darueda",
-    Liguilla: "liguilla",
-  };
-  // Store original casing for display/filename
-  const roundLookup = {};
-  for (const [key, value] of Object.entries(roundKeywords)) {
-    roundLookup[value] = key;
-  }
-  const normalizedRoundKeywords = Object.keys(roundLookup);
-
-  // --- Try specific formats first ---
-  // These formats attempt to parse all components. If successful, we use the result.
-  // If a format matches structure but fails to find a component (like conjunto),
-  // we discard the partial result from that format and allow fallback to general parsing.
-
-  let formatMatchedSuccessfully = false; // Track if any specific format fully succeeded
-
-  // Format: "X Etapa YYYY - Name - Round" (Year present)
-  const format1Regex =
-    /(\d+(?:ta|ma|ra|da))?\s*Etapa\s*(\d{4})\s*-\s*(.+?)\s*-\s*(.+)/i;
-  const format1Match = title.match(format1Regex);
-  if (format1Match) {
-    const [_, etapa, matchedYear, namePartRaw, roundPart] = format1Match;
-    const namePart = namePartRaw.trim();
-    const potentialRound = roundPart.trim();
-    const normalizedPotentialRound = normalizeString(potentialRound);
-    const matchedRoundKeyword = normalizedRoundKeywords.find((kw) =>
-      normalizedPotentialRound.includes(kw)
-    );
+  // --- Try title format rules first (see settings.titleFormats) ---
+  // Each rule attempts to parse all components. If successful, we use the result.
+  // If a rule matches structure but fails to find a component (like conjunto),
+  // we discard the partial result from that rule and allow fallback to general parsing.
 
-    if (matchedRoundKeyword) {
+  for (const rule of config.settings.titleFormats) {
+    const formatResult = applyTitleFormat(rule, title, config);
+    if (formatResult) {
       logger.debug(
-        `[parser] Matched Format 1 Structure (Year Present) - Extracted Name: "${namePart}", Round: "${potentialRound}"`
-      );
-      const currentRound = roundLookup[matchedRoundKeyword];
-      const matchedConjunto = findBestConjuntoMatch(
-        namePart,
-        conjuntos,
-        0.85,
-        logger,
-        "(Format 1)"
-      );
-
-      if (matchedConjunto) {
-        logger.debug(
-          `[parser] Format 1: Successfully parsed all parts. Using this result.`
-        );
-        formatMatchedSuccessfully = true; // Mark success
-        year = matchedYear;
-        conjunto = matchedConjunto;
-        round = currentRound;
-        isAlternativeFormat = true;
-      } else {
-        logger.debug(
-          `[parser] Format 1: Matched structure but failed to find conjunto for "${namePart}". Discarding partial result, allowing fallback.`
-        );
-      }
-    } else {
-      logger.debug(
-        `[parser] Format 1: Matched structure but round part "${potentialRound}" invalid. Allowing fallback.`
+        `[parser] Format "${rule.id}": Successfully parsed all parts. Using this result.`
       );
-    }
-  }
-
-  // Format: "X Etapa - Name - Round" (Year MISSING)
-  // Only try if Format 1 didn't successfully find everything
-  if (!formatMatchedSuccessfully) {
-    const format2Regex = /(\d+(?:ta|ma|ra|da))\s*Etapa\s*-\s*(.+?)\s*-\s*(.+)/i;
-    const format2Match = title.match(format2Regex);
-    if (format2Match) {
-      const [_, etapa, namePartRaw, roundPart] = format2Match;
-      const namePart = namePartRaw.trim();
-      const potentialRound = roundPart.trim();
-      const normalizedPotentialRound = normalizeString(potentialRound);
-      const matchedRoundKeyword = normalizedRoundKeywords.find((kw) =>
-        normalizedPotentialRound.includes(kw)
-      );
-
-      if (matchedRoundKeyword) {
-        logger.debug(
-          `[parser] Matched Format 2 Structure (Year Missing) - Extracted Name: "${namePart}", Round: "${potentialRound}"`
-        );
-        const currentRound = roundLookup[matchedRoundKeyword];
-        const matchedConjunto = findBestConjuntoMatch(
-          namePart,
-          conjuntos,
-          0.85,
-          logger,
-          "(Format 2)"
-        );
-
-        if (matchedConjunto) {
-          logger.debug(
-            `[parser] Format 2: Successfully parsed conjunto and round. Year is null. Using this result.`
-          );
-          formatMatchedSuccessfully = true; // Mark success
-          year = null; // Explicitly null
-          conjunto = matchedConjunto;
-          round = currentRound;
-          isAlternativeFormat = true;
-        } else {
-          logger.debug(
-            `[parser] Format 2: Matched structure but failed to find conjunto for "${namePart}". Discarding partial result, allowing fallback.`
-          );
-        }
-      } else {
-        logger.debug(
-          `[parser] Format 2: Matched structure but round part "${potentialRound}" invalid. Allowing fallback.`
-        );
-      }
-    }
-  }
-
-  // Format: 2015 Liguilla ("XA ETAPA NAME LIGUILLA")
-  // Only try if previous formats didn't successfully find everything
-  if (!formatMatchedSuccessfully) {
-    const etapa2015FormatRegex = /^(\d)\s?A?\s?ETAPA\s+(.+?)\s+(LIGUILLA)$/i;
-    const etapa2015Match = title.match(etapa2015FormatRegex);
-    if (etapa2015Match) {
-      const [_, etapa, namePartRaw, roundPart] = etapa2015Match;
-      const namePart = namePartRaw.trim();
-      logger.debug(
-        `[parser] Matched 2015 Liguilla Structure - Extracted Name: "${namePart}"`
-      );
-
-      if (parseInt(etapa) >= 1 && parseInt(etapa) <= 6) {
-        const currentRound = "Liguilla";
-        const matchedConjunto = findBestConjuntoMatch(
-          namePart,
-          conjuntos,
-          0.85,
-          logger,
-          "(2015 Format)"
-        );
-        if (matchedConjunto) {
-          logger.debug(
-            `[parser] 2015 Format: Successfully parsed all parts. Using this result.`
-          );
-          formatMatchedSuccessfully = true; // Mark success
-          year = "2015";
-          conjunto = matchedConjunto;
-          round = currentRound;
-          isAlternativeFormat = true;
-        } else {
-          logger.debug(
-            `[parser] 2015 Format: Matched structure but failed to find conjunto for "${namePart}". Discarding partial result, allowing fallback.`
-          );
-        }
-      } else {
-        logger.debug(
-          `[parser] 2015 Format: Matched structure but etapa number invalid. Allowing fallback.`
-        );
-      }
+      year = formatResult.year;
+      round = formatResult.round;
+      etapa = formatResult.etapa;
+      conjuntoMatch = formatResult.match;
+      sources = formatResult.sources;
+      formatRule = rule.id;
+      isAlternativeFormat = true;
+      break;
     }
   }
 
   // --- General Fallback Parsing ---
-  // This section runs if NO specific format above successfully found all components.
-  // It attempts to fill in missing pieces (year, conjunto, round) if they weren't found.
-  if (!formatMatchedSuccessfully) {
+  // This section runs if NO format rule above successfully found all components.
+  // It attempts to fill in missing pieces (year, conjunto, round) from the whole title.
+  if (!formatRule) {
     logger.debug(
       "[parser] No specific format fully succeeded, attempting General Fallback Parsing..."
     );
 
-    // Try finding conjunto generally using the whole title *if not already found*
-    if (!conjunto) {
-      conjunto = findBestConjuntoMatch(
-        title,
-        conjuntos,
-        0.85,
-        logger,
-        "(General Fallback)"
-      );
-      if (!conjunto) {
-        logger.info("[parser] Fallback failed to find Conjunto.");
-        // If no conjunto found even in fallback, we cannot proceed meaningfully
+    // Find the year first so the conjunto is checked against that year's roster
+    year = extractYear(title);
+
+    // Try finding conjunto generally using the whole title
+    conjuntoMatch = findBestConjuntoMatch(
+      title,
+      config.matchIndex,
+      logger,
+      "(General Fallback)",
+      year
+    );
+    if (!conjuntoMatch.conjunto) {
+      logger.info("[parser] Fallback failed to find Conjunto.");
+      if (extra) {
+        // Extras don't need a conjunto; the year is enough to file them
         return {
-          year: null,
-          conjunto: null,
-          round: null,
-          isAlternativeFormat: false,
+          ...createEmptyResult(conjuntoMatch.candidates),
+          year,
+          extra,
+          sources: { year: year ? "title" : null, round: null, conjunto: null },
         };
       }
+      // If no conjunto found even in fallback, we cannot proceed meaningfully
+      return createEmptyResult(conjuntoMatch.candidates);
     }
+    sources.conjunto = "title";
 
-    // Try finding year generally *if not already found*
-    if (!year) {
-      const yearMatch = title.match(/\b(19[89]\d|20\d{2})\b/);
-      year = yearMatch ? yearMatch[0] : null;
-      if (!year) {
-        logger.info("[parser] Fallback failed to find Year.");
-      }
+    if (year) {
+      sources.year = "title";
+    } else {
+      logger.info("[parser] Fallback failed to find Year.");
     }
 
-    // Try finding round generally *if not already found*
-    if (!round) {
-      const titleLowerNorm = normalizeString(title);
-      const matchedRoundKeyword = normalizedRoundKeywords.find((kw) =>
-        titleLowerNorm.includes(kw)
-      );
-      round = matchedRoundKeyword ? roundLookup[matchedRoundKeyword] : null;
-      if (!round) {
-        logger.debug("[parser] Fallback did not find Round.");
-      }
+    // Try finding round generally
+    round = matchRound(title, config.settings.rounds)?.name || null;
+    if (round) {
+      sources.round = "title";
+    } else {
+      logger.debug("[parser] Fallback did not find Round.");
     }
-    isAlternativeFormat = false; // General parsing is not an alternative format
   } // End of general fallback parsing block
 
-  // Final Result Consolidation / Logging
-  if (!conjunto) {
-    // This case should ideally be handled by the return inside the fallback block
-    logger.error(
-      "[parser] Final Result: Reached end without identifying Conjunto. This shouldn't happen."
-    );
-    return {
-      year: null,
-      conjunto: null,
-      round: null,
-      isAlternativeFormat: false,
-    };
-  }
+  const conjunto = conjuntoMatch.conjunto;
   if (!year) {
     logger.info(
-      `[parser] Final Result: Identified conjunto (${conjunto?.name}), Round (${round}) but not Year.`
+      `[parser] Final Result: Identified conjunto (${conjunto.name}), Round (${round}) but not Year.`
     );
   } else {
     logger.info(
-      `[parser] Final Result: Year=${year}, Conjunto=${conjunto?.name}, Round=${round}`
+      `[parser] Final Result: Year=${year}, Conjunto=${conjunto.name}, Round=${round}`
     );
   }
 
   // Return the combined result
-  return { year, conjunto, round, isAlternativeFormat };
+  return {
+    skippedKeyword: null,
+    extra,
+    year,
+    conjunto,
+    round,
+    etapa,
+    isAlternativeFormat,
+    confidence: Number(conjuntoMatch.score.toFixed(3)),
+    ambiguous: conjuntoMatch.ambiguous,
+    activeInYear: conjuntoMatch.activeInYear,
+    candidates: conjuntoMatch.candidates,
+    formatRule,
+    sources,
+  };
 }
 
 // No named export block needed here as all functions are exported inline using 'export function'
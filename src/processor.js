@@ -1,9 +1,41 @@
 import fs from "fs-extra";
 import path from "path";
 import youtubeDl from "youtube-dl-exec";
-import { parseVideoTitle, normalizeString } from "./parser.js"; // Import normalizeString
-// Use the execSync version of downloadVideo
+import dayjs from "dayjs";
+import {
+  parseVideoTitle,
+  normalizeString,
+  getRoundPriority,
+  extractYear,
+} from "./parser.js"; // Import normalizeString
+// downloadVideo spawns yt-dlp and throws with its error output on failure
 import { shouldDownload, downloadVideo } from "./downloader.js";
+import { getAudioTags } from "./audio.js";
+import { getArtworkDir } from "./artwork.js";
+import {
+  getOutputLocation,
+  usesShowLayout,
+  getEpisodeInfo,
+} from "./layout.js";
+import {
+  findConjuntoByName,
+  resolveConjuntoForYear,
+  resolveQualityProfile,
+} from "./config.js";
+import { inferFromMetadata } from "./metadata.js";
+import {
+  recordFailure,
+  readFailures,
+  selectRetries,
+} from "./failures.js";
+import {
+  loadOverrides,
+  findOverride,
+  applyOverride,
+  recordOverride,
+  withSuggestion,
+  getReviewedCorrection,
+} from "./overrides.js";
 import {
   readTrackingJson,
   writeTrackingJson,
@@ -12,19 +44,76 @@ import {
   getTrackingIds, // Keep for failed handling
 } from "./state.js";
 
-// Helper function to determine round priority
-function getRoundPriority(roundName) {
-  if (!roundName) return 0; // No round specified
-  const normalized = normalizeString(roundName); // Use the same normalization as parser
-  if (normalized.includes("liguilla")) return 3;
-  if (normalized.includes("segunda") || normalized.includes("2da")) return 2;
-  if (
-    normalized.includes("primera") ||
-    normalized.includes("1ra") ||
-    normalized.includes("1era")
-  )
-    return 1; // Added 1era
-  return 0; // Unknown round type treated as lowest
+/**
+ * Download options of a video beyond its NFO data: the quality profile,
+ * the artwork settings, in audio mode the audio format and tags, and in the
+ * TV-show layout the episode.
+ * @param {Object} config - Loaded configuration
+ * @param {Object} info - Effective { year, conjunto, round, extra, etapa }
+ * @returns {Object} { quality, artwork: { thumbnails, directory }, chapters, nfo, audio: { format, tags } | null, episode: Object | null }
+ */
+function getDownloadOptions(config, info) {
+  const { audio } = config.settings;
+  return {
+    quality: resolveQualityProfile(config, info),
+    artwork: {
+      thumbnails: config.settings.artwork.thumbnails,
+      directory: getArtworkDir(config.settings),
+    },
+    chapters: config.settings.chapters,
+    nfo: config.settings.nfo,
+    audio: audio.enabled
+      ? { format: audio.format, tags: getAudioTags(info, config.settings) }
+      : null,
+    episode: usesShowLayout(info, config.settings)
+      ? getEpisodeInfo(info, config)
+      : null,
+  };
+}
+
+/**
+ * Whether a title identifies a video only partly, so its metadata
+ * (description, tags, upload date) may complete it: the conjunto (or extras
+ * section) without a year, or a year in the title without a conjunto.
+ * Titles that identify neither are taken to be unrelated uploads.
+ * @param {Object} parsedInfo - Title parse (its `year` is the title's own)
+ * @param {string|null} effectiveYear - Title or forced year
+ * @returns {boolean}
+ */
+function needsMetadataInference(parsedInfo, effectiveYear) {
+  if (parsedInfo.skippedKeyword) return false;
+  const hasSubject = Boolean(parsedInfo.conjunto || parsedInfo.extra);
+  return hasSubject ? !effectiveYear : Boolean(parsedInfo.year);
+}
+
+/**
+ * The fields of a video's metadata that inference reads, as kept in
+ * metadata_cache.json.
+ * @param {Object} videoInfo - Full yt-dlp metadata
+ * @returns {Object} { id, title, description, tags, upload_date }
+ */
+function toCachedMetadata({ id, title, description, tags, upload_date }) {
+  return { id, title, description, tags, upload_date };
+}
+
+/**
+ * Run an async worker over a list of items, with at most `concurrency` items
+ * in progress at any time. Items are started in list order.
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum number of items in progress
+ * @param {Function} worker - Async function called with each item
+ * @returns {Promise<void>}
+ */
+async function runWorkerPool(items, concurrency, worker) {
+  let nextIndex = 0;
+  const workerCount = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(
+    Array.from({ length: workerCount }, async () => {
+      while (nextIndex < items.length) {
+        await worker(items[nextIndex++]);
+      }
+    })
+  );
 }
 
 /**
@@ -36,6 +125,7 @@ function getRoundPriority(roundName) {
  * @param {Set} downloadedSet - Set of already downloaded video IDs (from archive file)
  * @param {Object} logger - Logger instance
  * @param {string | null} forcedYear - Year provided via CLI option, or null
+ * @param {number} concurrency - Chosen videos fetched and downloaded at the same time
  * @returns {Promise<Object>} Processing statistics
  */
 export async function processChannel(
@@ -45,7 +135,8 @@ export async function processChannel(
   config,
   downloadedSet,
   logger,
-  forcedYear = null
+  forcedYear = null,
+  concurrency = 1
 ) {
   logger.info(
     `Processing channel/playlist: ${channelUrl} (Selecting highest round per conjunto/year)`
@@ -54,7 +145,7 @@ export async function processChannel(
     logger.info(`Using forced year for all videos: ${forcedYear}`);
   } else {
     logger.warn(
-      "Processing channel without --year flag. Titles missing the year will be ignored."
+      "Processing channel without --year flag. Titles missing the year will be inferred from video metadata where possible, otherwise ignored."
     );
   }
 
@@ -64,6 +155,11 @@ export async function processChannel(
     ignored_no_match: 0, // Videos ignored during collection (no year/conjunto)
     skipped_lower_round_than_chosen: 0, // Videos skipped because a higher priority was chosen *for download*
     skipped_group_high_priority_downloaded: 0, // New: Videos skipped because the absolute highest priority was already downloaded
+    check_later_low_confidence: 0, // Videos sent to check_later during collection (low-confidence/ambiguous conjunto match)
+    check_later_not_in_roster: 0, // Videos sent to check_later because the conjunto did not compete that year
+    inferred_from_metadata: 0, // Videos whose missing year/conjunto was inferred from description/tags/upload date
+    overrides_applied: 0, // Videos parsed using a correction stored in overrides.json
+    skipped_dead: 0, // Videos listed in dead.json (permanently unavailable)
     processed: 0, // *Chosen* highest-priority, non-downloaded videos attempted
     downloaded: 0, // Chosen videos successfully downloaded/archived
     checkLater: 0, // Chosen videos marked for check later
@@ -85,10 +181,198 @@ export async function processChannel(
   }
   // --- End Load Failed Video IDs ---
 
+  let deadSet = new Set();
+  try {
+    deadSet = await getTrackingIds(trackingFiles.deadPath, logger);
+  } catch (error) {
+    logger.error("Could not load dead video IDs.", { error: error.message });
+  }
+
+  // Videos ignored before are not fetched again for metadata inference
+  let ignoredSet = new Set();
+  try {
+    ignoredSet = await getTrackingIds(trackingFiles.ignoredPath, logger);
+  } catch (error) {
+    logger.error("Could not load ignored video IDs.", { error: error.message });
+  }
+  const metadataCache = new Map(
+    (await readTrackingJson(trackingFiles.metadataCachePath)).map((entry) => [
+      entry.id,
+      entry,
+    ])
+  );
+
+  // IDs already waiting in check_later.json, so re-runs don't add them twice
+  let checkLaterSet = new Set();
+  try {
+    checkLaterSet = await getTrackingIds(trackingFiles.checkLaterPath, logger);
+  } catch (error) {
+    logger.error("Could not load check_later video IDs.", {
+      error: error.message,
+    });
+  }
+
+  // Corrections confirmed while reviewing check_later.json
+  const overrides = await loadOverrides(trackingFiles.overridesPath, logger);
+
+  const { minConfidence } = config.settings.matching;
+
   // Data structure: Map<year, Map<conjuntoName, Array<PotentialVideo>>>
-  // PotentialVideo: { id, url, title, parsedInfo: { year, conjunto, round }, roundPriority, isDownloaded }
+  // PotentialVideo: { id, url, title, parsedInfo: { year, conjunto, round, extra, etapa, sources }, roundPriority, isDownloaded }
   const potentialVideosMap = new Map();
 
+  /**
+   * Fetch the full metadata of a chosen video, check it and download it
+   * (step 5 of Pass 2). Runs inside the download worker pool.
+   * @param {Object} chosenVideo - Potential video chosen for its group
+   */
+  const processChosenVideo = async (chosenVideo) => {
+    let videoInfo; // Full metadata
+    try {
+      // Log forced year override if necessary
+      // (No change needed here)
+      const originalParsedInfo = parseVideoTitle(chosenVideo.title, config);
+      if (
+        forcedYear &&
+        originalParsedInfo.year &&
+        originalParsedInfo.year !== forcedYear
+      ) {
+        logger.warn(
+          `Forced year ${forcedYear} overrides year ${originalParsedInfo.year} found in title "${chosenVideo.title}" for chosen video ${chosenVideo.id}.`
+        );
+      }
+
+      if (chosenVideo.videoInfo) {
+        videoInfo = chosenVideo.videoInfo; // Fetched in Pass 1 for metadata inference
+      } else {
+        logger.debug(
+          `Fetching full metadata for chosen video ${chosenVideo.id}...`
+        );
+        videoInfo = await youtubeDl(chosenVideo.url, {
+          dumpSingleJson: true,
+          noWarnings: true,
+          noCallHome: true,
+        });
+      }
+      logger.debug(
+        `Full metadata fetched for ${chosenVideo.id}. Duration: ${videoInfo.duration}s`
+      );
+
+      // Check if video should be downloaded
+      const downloadDecision = shouldDownload(
+        videoInfo,
+        chosenVideo.parsedInfo,
+        logger
+      );
+
+      if (!downloadDecision.download) {
+        logger.info(
+          `Chosen video ${chosenVideo.id} marked for check later: ${downloadDecision.reason}`
+        );
+        await addTrackingEntry(trackingFiles.checkLaterPath, withSuggestion({
+          id: chosenVideo.id,
+          title: videoInfo.title,
+          url: chosenVideo.url,
+          reason: downloadDecision.reason,
+          conjunto: chosenVideo.parsedInfo.conjunto,
+          year: chosenVideo.parsedInfo.year,
+          round: chosenVideo.parsedInfo.round,
+          duration: videoInfo.duration,
+        }));
+        stats.checkLater++;
+        return; // Skip download part for this video
+      }
+
+      // Prepare for download
+      const { outputDir, baseFilename } = getOutputLocation(
+        baseDir,
+        chosenVideo.parsedInfo,
+        videoInfo,
+        config
+      );
+      await fs.ensureDir(outputDir);
+
+      // Download video
+      try {
+        await downloadVideo(
+          chosenVideo.url,
+          chosenVideo.id,
+          outputDir,
+          baseFilename,
+          {
+            // NFO data using chosen video's info
+            videoInfo,
+            conjunto: chosenVideo.parsedInfo.conjunto,
+            year: chosenVideo.parsedInfo.year,
+            round: chosenVideo.parsedInfo.round,
+            extra: chosenVideo.parsedInfo.extra,
+            etapa: chosenVideo.parsedInfo.etapa,
+            ...getDownloadOptions(config, chosenVideo.parsedInfo),
+          },
+          trackingFiles.downloadedPath,
+          logger
+        );
+
+        stats.downloaded++;
+        logger.info(`Successfully processed chosen video ${chosenVideo.id}`);
+
+        // Remove from failed.json if it was there
+        if (failedSet.has(chosenVideo.id)) {
+          await removeTrackingEntryById(
+            trackingFiles.failedPath,
+            chosenVideo.id,
+            logger
+          );
+          logger.info(
+            `Removed successfully processed video ${chosenVideo.id} from failed.json.`
+          );
+          failedSet.delete(chosenVideo.id);
+        }
+      } catch (downloadError) {
+        logger.error(
+          `Failed to process chosen video ${chosenVideo.id} during downloadVideo call`,
+          { error: downloadError.message, stack: downloadError.stack }
+        );
+        stats.failed++;
+        await recordFailure(
+          trackingFiles,
+          {
+            id: chosenVideo.id,
+            title: videoInfo?.title || chosenVideo.title,
+            url: chosenVideo.url,
+            error: `Download function error: ${downloadError.message}`,
+            year: chosenVideo.parsedInfo.year,
+            conjunto: chosenVideo.parsedInfo.conjunto,
+            round: chosenVideo.parsedInfo.round,
+          },
+          config.settings.retry,
+          logger
+        );
+      }
+    } catch (processingError) {
+      // Catch errors during metadata fetch or shouldDownload check
+      logger.error(
+        `Error processing chosen video ${chosenVideo.id} ('${chosenVideo.title}')`,
+        { error: processingError.message, stack: processingError.stack }
+      );
+      stats.failed++;
+      await recordFailure(
+        trackingFiles,
+        {
+          id: chosenVideo.id,
+          title: chosenVideo.title,
+          url: chosenVideo.url,
+          error: `Processing error (metadata/check): ${processingError.message}`,
+          year: chosenVideo.parsedInfo.year,
+          conjunto: chosenVideo.parsedInfo.conjunto,
+          round: chosenVideo.parsedInfo.round,
+        },
+        config.settings.retry,
+        logger
+      );
+    }
+  };
+
   try {
     // --- First Pass: Collect Potential Videos ---
     // Collect ALL potential videos, marking if they are already downloaded.
@@ -109,10 +393,15 @@ export async function processChannel(
     }
 
     stats.total = channelInfo.entries.length;
+    // Recorded with ignored videos as context for conjunto suggestions
+    const channelName =
+      channelInfo.channel || channelInfo.uploader || channelInfo.title || channelUrl;
     logger.info(
       `Found ${stats.total} videos in channel/playlist. Collecting details...`
     );
 
+    // Videos that passed the early checks, with what their title tells
+    const collected = [];
     let collectionCount = 0;
     for (const videoStub of channelInfo.entries) {
       collectionCount++;
@@ -130,12 +419,29 @@ export async function processChannel(
         continue;
       }
 
+      // Permanently unavailable videos (dead.json) are not attempted again
+      if (deadSet.has(videoStub.id)) {
+        logger.debug(
+          `(${collectionCount}/${stats.total}) Skipping permanently unavailable video: ${videoStub.title}`
+        );
+        stats.skipped_dead++;
+        continue;
+      }
+
       logger.debug(
         `(${collectionCount}/${stats.total}) Collecting: ${videoStub.title} (ID: ${videoStub.id})`
       );
 
-      // 1. Parse video title
-      const parsedInfo = parseVideoTitle(videoStub.title, config);
+      // 1. Parse video title (a correction confirmed earlier wins over the parser)
+      let parsedInfo = parseVideoTitle(videoStub.title, config);
+      const override = findOverride(overrides, videoStub.id, videoStub.title);
+      if (override) {
+        parsedInfo = applyOverride(parsedInfo, override, config);
+        stats.overrides_applied++;
+        logger.debug(
+          `[Processor] Applied stored override (by ${override.matchedBy}) for "${videoStub.title}".`
+        );
+      }
 
       // 2. Determine effective year
       let effectiveYear = parsedInfo.year;
@@ -162,12 +468,77 @@ export async function processChannel(
         );
       }
 
-      // 3. *** CRUCIAL CHECK *** (Identify conjunto and year)
-      if (!parsedInfo.conjunto || !effectiveYear) {
+      collected.push({ videoStub, collectionCount, parsedInfo, effectiveYear });
+    } // End loop through videos
+
+    // 2b. Titles that identify only the conjunto or only the year: try the
+    // full metadata (description, tags, upload date). Titles that identify
+    // neither are not worth a request, nor are videos ignored before; the
+    // fetches run in the worker pool and their results are cached.
+    const fetchedInfo = new Map();
+    if (config.settings.metadataInference.enabled) {
+      const toFetch = collected.filter(
+        ({ videoStub, parsedInfo, effectiveYear }) =>
+          needsMetadataInference(parsedInfo, effectiveYear) &&
+          !ignoredSet.has(videoStub.id) &&
+          !metadataCache.has(videoStub.id)
+      );
+      logger.info(
+        `Fetching metadata of ${toFetch.length} partially identified video(s) to infer the missing year/conjunto...`
+      );
+      await runWorkerPool(toFetch, concurrency, async ({ videoStub }) => {
+        try {
+          const videoInfo = await youtubeDl(videoStub.url, {
+            dumpSingleJson: true,
+            noWarnings: true,
+            noCallHome: true,
+          });
+          fetchedInfo.set(videoStub.id, videoInfo);
+          metadataCache.set(videoStub.id, toCachedMetadata(videoInfo));
+        } catch (error) {
+          logger.warn(
+            `[Processor] Could not fetch metadata for ${videoStub.id} to infer year/conjunto.`,
+            { error: error.message }
+          );
+        }
+      });
+      if (fetchedInfo.size > 0) {
+        await writeTrackingJson(trackingFiles.metadataCachePath, [
+          ...metadataCache.values(),
+        ]);
+      }
+    }
+
+    for (const item of collected) {
+      const { videoStub, collectionCount } = item;
+      let { parsedInfo, effectiveYear } = item;
+
+      const fullVideoInfo = fetchedInfo.get(videoStub.id) || null;
+      const metadata = fullVideoInfo || metadataCache.get(videoStub.id);
+      if (
+        metadata &&
+        config.settings.metadataInference.enabled &&
+        needsMetadataInference(parsedInfo, effectiveYear)
+      ) {
+        parsedInfo = inferFromMetadata(
+          metadata,
+          { ...parsedInfo, year: effectiveYear },
+          config,
+          logger
+        );
+        effectiveYear = parsedInfo.year;
+        if ((parsedInfo.conjunto || parsedInfo.extra) && effectiveYear) {
+          stats.inferred_from_metadata++;
+        }
+      }
+
+      // 3. *** CRUCIAL CHECK *** (Identify conjunto and year; extras only need the year)
+      if ((!parsedInfo.conjunto && !parsedInfo.extra) || !effectiveYear) {
         let reason = "Could not reliably identify ";
         const missing = [];
-        if (!parsedInfo.conjunto) missing.push("conjunto");
-        if (!effectiveYear) missing.push("year (from title or --year flag)");
+        if (!parsedInfo.conjunto && !parsedInfo.extra) missing.push("conjunto");
+        if (!effectiveYear)
+          missing.push("year (from title, metadata or --year flag)");
         reason += missing.join(" and ");
         reason += ` for title: "${videoStub.title}"`;
         logger.info(
@@ -178,6 +549,7 @@ export async function processChannel(
           title: videoStub.title,
           url: videoStub.url,
           reason: `${reason} (during collection pass)`,
+          channel: channelName,
           parsedInfoRaw: parsedInfo,
           forcedYearProvided: forcedYear,
         });
@@ -185,11 +557,97 @@ export async function processChannel(
         continue; // Skip collection
       }
 
-      // 4. Store potential video info, including download status
-      const conjuntoName = parsedInfo.conjunto.name;
-      const roundPriority = getRoundPriority(parsedInfo.round);
+      // 3b. Use the conjunto's category for the effective year (roster years in conjuntos.json)
+      if (parsedInfo.conjunto) {
+        const roster = resolveConjuntoForYear(
+          config,
+          parsedInfo.conjunto,
+          effectiveYear
+        );
+        parsedInfo = {
+          ...parsedInfo,
+          conjunto: roster.conjunto,
+          activeInYear: roster.activeInYear,
+        };
+      }
+
       const isDownloaded = downloadedSet.has(videoStub.id); // Check download status HERE
 
+      // 4. Send low-confidence or ambiguous conjunto matches for manual review
+      if (
+        !isDownloaded &&
+        parsedInfo.conjunto &&
+        (parsedInfo.ambiguous || parsedInfo.confidence < minConfidence)
+      ) {
+        const reason = parsedInfo.ambiguous
+          ? `Ambiguous conjunto match (${parsedInfo.candidates
+              .map((c) => `${c.name} ${c.score}`)
+              .join(", ")})`
+          : `Low-confidence conjunto match (${parsedInfo.confidence} < ${minConfidence})`;
+        logger.info(
+          `[Processor] ${reason} for title "${videoStub.title}", marking for check later.`
+        );
+        if (!checkLaterSet.has(videoStub.id)) {
+          await addTrackingEntry(trackingFiles.checkLaterPath, withSuggestion({
+            id: videoStub.id,
+            title: videoStub.title,
+            url: videoStub.url,
+            reason,
+            conjunto: parsedInfo.conjunto,
+            year: effectiveYear,
+            round: parsedInfo.round,
+            extra: parsedInfo.extra,
+            confidence: parsedInfo.confidence,
+            candidates: parsedInfo.candidates,
+            sources: parsedInfo.sources,
+          }));
+          checkLaterSet.add(videoStub.id);
+        }
+        stats.check_later_low_confidence++;
+        continue; // Skip collection
+      }
+
+      // 4b. A conjunto/year combination missing from the roster would be filed wrongly
+      if (
+        !isDownloaded &&
+        !parsedInfo.extra &&
+        parsedInfo.activeInYear === false
+      ) {
+        const reason = `Conjunto ${parsedInfo.conjunto.name} is not listed as competing in ${effectiveYear}`;
+        logger.info(
+          `[Processor] ${reason} for title "${videoStub.title}", marking for check later.`
+        );
+        if (!checkLaterSet.has(videoStub.id)) {
+          await addTrackingEntry(trackingFiles.checkLaterPath, withSuggestion({
+            id: videoStub.id,
+            title: videoStub.title,
+            url: videoStub.url,
+            reason,
+            conjunto: parsedInfo.conjunto,
+            year: effectiveYear,
+            round: parsedInfo.round,
+            confidence: parsedInfo.confidence,
+            candidates: parsedInfo.candidates,
+            sources: parsedInfo.sources,
+          }));
+          checkLaterSet.add(videoStub.id);
+        }
+        stats.check_later_not_in_roster++;
+        continue; // Skip collection
+      }
+
+      // 5. Store potential video info, including download status
+      // Extras are grouped per section and conjunto (or video), apart from contest rounds
+      const conjuntoName = parsedInfo.extra
+        ? `${parsedInfo.extra.label}: ${
+            parsedInfo.conjunto?.name || videoStub.id
+          }`
+        : parsedInfo.conjunto.name;
+      const roundPriority = getRoundPriority(
+        parsedInfo.round,
+        config.settings.rounds
+      );
+
       const potentialVideo = {
         id: videoStub.id,
         url: videoStub.url,
@@ -198,9 +656,13 @@ export async function processChannel(
           year: effectiveYear,
           conjunto: parsedInfo.conjunto,
           round: parsedInfo.round,
+          extra: parsedInfo.extra,
+          etapa: parsedInfo.etapa,
+          sources: parsedInfo.sources,
         },
         roundPriority: roundPriority,
         isDownloaded: isDownloaded, // Store download status
+        videoInfo: fullVideoInfo, // Full metadata if already fetched for inference
       };
 
       // Add to map
@@ -220,7 +682,7 @@ export async function processChannel(
           videoStub.id
         }`
       );
-    } // End loop through videos
+    } // End loop through identified videos
 
     logger.info(
       `Finished Pass 1. Collected potential videos for ${potentialVideosMap.size} year(s).`
@@ -231,6 +693,7 @@ export async function processChannel(
       "Starting Pass 2: Selecting THE highest priority video and processing if not downloaded..."
     );
     let groupCheckCount = 0;
+    const downloadQueue = [];
 
     for (const [year, yearMap] of potentialVideosMap.entries()) {
       for (const [conjuntoName, videosForConjunto] of yearMap.entries()) {
@@ -297,163 +760,16 @@ export async function processChannel(
           }
         }
 
-        // 5. Now, process the chosenVideo
-        let videoInfo; // Full metadata
-        try {
-          // Log forced year override if necessary
-          // (No change needed here)
-          const originalParsedInfo = parseVideoTitle(chosenVideo.title, config);
-          if (
-            forcedYear &&
-            originalParsedInfo.year &&
-            originalParsedInfo.year !== forcedYear
-          ) {
-            logger.warn(
-              `Forced year ${forcedYear} overrides year ${originalParsedInfo.year} found in title "${chosenVideo.title}" for chosen video ${chosenVideo.id}.`
-            );
-          }
-
-          logger.debug(
-            `Fetching full metadata for chosen video ${chosenVideo.id}...`
-          );
-          videoInfo = await youtubeDl(chosenVideo.url, {
-            dumpSingleJson: true,
-            noWarnings: true,
-            noCallHome: true,
-          });
-          logger.debug(
-            `Full metadata fetched for ${chosenVideo.id}. Duration: ${videoInfo.duration}s`
-          );
-
-          // Check if video should be downloaded
-          const downloadDecision = shouldDownload(
-            videoInfo,
-            chosenVideo.parsedInfo,
-            logger
-          );
-
-          if (!downloadDecision.download) {
-            logger.info(
-              `Chosen video ${chosenVideo.id} marked for check later: ${downloadDecision.reason}`
-            );
-            await addTrackingEntry(trackingFiles.checkLaterPath, {
-              id: chosenVideo.id,
-              title: videoInfo.title,
-              url: chosenVideo.url,
-              reason: downloadDecision.reason,
-              conjunto: chosenVideo.parsedInfo.conjunto,
-              year: chosenVideo.parsedInfo.year,
-              round: chosenVideo.parsedInfo.round,
-              duration: videoInfo.duration,
-            });
-            stats.checkLater++;
-            continue; // Skip download part for this video
-          }
-
-          // Prepare for download
-          const outputDir = path.join(
-            baseDir,
-            chosenVideo.parsedInfo.year,
-            chosenVideo.parsedInfo.conjunto.category
-          );
-          await fs.ensureDir(outputDir);
-          const baseFilename = `${chosenVideo.parsedInfo.conjunto.name} ${
-            chosenVideo.parsedInfo.year
-          }${
-            chosenVideo.parsedInfo.round
-              ? ` - ${chosenVideo.parsedInfo.round}`
-              : ""
-          }`;
-
-          // Download video
-          let success = false;
-          try {
-            success = await downloadVideo(
-              chosenVideo.url,
-              chosenVideo.id,
-              outputDir,
-              baseFilename,
-              {
-                // NFO data using chosen video's info
-                videoInfo,
-                conjunto: chosenVideo.parsedInfo.conjunto,
-                year: chosenVideo.parsedInfo.year,
-                round: chosenVideo.parsedInfo.round,
-              },
-              trackingFiles.downloadedPath,
-              logger
-            );
-
-            if (success) {
-              stats.downloaded++;
-              logger.info(
-                `Successfully processed chosen video ${chosenVideo.id}`
-              );
-
-              // Remove from failed.json if it was there
-              if (failedSet.has(chosenVideo.id)) {
-                await removeTrackingEntryById(
-                  trackingFiles.failedPath,
-                  chosenVideo.id,
-                  logger
-                );
-                logger.info(
-                  `Removed successfully processed video ${chosenVideo.id} from failed.json.`
-                );
-                failedSet.delete(chosenVideo.id);
-              }
-            } else {
-              logger.warn(
-                `downloadVideo indicated failure for chosen video ${chosenVideo.id}, marking as failed.`
-              );
-              stats.failed++;
-              await addTrackingEntry(trackingFiles.failedPath, {
-                id: chosenVideo.id,
-                title: videoInfo.title,
-                url: chosenVideo.url,
-                error:
-                  "downloadVideo returned false (likely yt-dlp exec error)",
-                year: chosenVideo.parsedInfo.year,
-                conjunto: chosenVideo.parsedInfo.conjunto,
-                round: chosenVideo.parsedInfo.round,
-              });
-            }
-          } catch (downloadError) {
-            logger.error(
-              `Failed to process chosen video ${chosenVideo.id} during downloadVideo call`,
-              { error: downloadError.message, stack: downloadError.stack }
-            );
-            stats.failed++;
-            await addTrackingEntry(trackingFiles.failedPath, {
-              id: chosenVideo.id,
-              title: videoInfo?.title || chosenVideo.title,
-              url: chosenVideo.url,
-              error: `Download function error: ${downloadError.message}`,
-              year: chosenVideo.parsedInfo.year,
-              conjunto: chosenVideo.parsedInfo.conjunto,
-              round: chosenVideo.parsedInfo.round,
-            });
-          }
-        } catch (processingError) {
-          // Catch errors during metadata fetch or shouldDownload check
-          logger.error(
-            `Error processing chosen video ${chosenVideo.id} ('${chosenVideo.title}')`,
-            { error: processingError.message, stack: processingError.stack }
-          );
-          stats.failed++;
-          await addTrackingEntry(trackingFiles.failedPath, {
-            id: chosenVideo.id,
-            title: chosenVideo.title,
-            url: chosenVideo.url,
-            error: `Processing error (metadata/check): ${processingError.message}`,
-            year: chosenVideo.parsedInfo.year,
-            conjunto: chosenVideo.parsedInfo.conjunto,
-            round: chosenVideo.parsedInfo.round,
-          });
-        }
+        // 5. Queue the chosenVideo for the download workers
+        downloadQueue.push(chosenVideo);
       } // End loop through conjuntos for the year
     } // End loop through years
 
+    logger.info(
+      `Processing ${downloadQueue.length} chosen video(s) with ${concurrency} worker(s)...`
+    );
+    await runWorkerPool(downloadQueue, concurrency, processChosenVideo);
+
     logger.info("Finished Pass 2.");
   } catch (error) {
     // Catch errors during the initial playlist fetch or overall processing loop
@@ -524,8 +840,16 @@ export async function processSingleVideo(
       );
     }
 
-    // 3. Parse video title
-    const parsedInfo = parseVideoTitle(videoInfo.title, config);
+    // 3. Parse video title (a correction confirmed earlier wins over the parser)
+    let parsedInfo = parseVideoTitle(videoInfo.title, config);
+    const overrides = await loadOverrides(trackingFiles.overridesPath, logger);
+    const override = findOverride(overrides, videoInfo.id, videoInfo.title);
+    if (override) {
+      parsedInfo = applyOverride(parsedInfo, override, config);
+      logger.info(
+        `Applied stored override (by ${override.matchedBy}) for ${videoInfo.id}.`
+      );
+    }
 
     // 4. Determine effective year (logic unchanged)
     let effectiveYear = parsedInfo.year;
@@ -546,14 +870,26 @@ export async function processSingleVideo(
       logger.info("No year found in title and --year option not provided.");
     }
 
-    // 5. Check if we have an effective year and a conjunto
-    if (!effectiveYear || !parsedInfo.conjunto) {
+    // 4b. Title (and --year) insufficient: infer from description, tags, upload date
+    if (!effectiveYear || (!parsedInfo.conjunto && !parsedInfo.extra)) {
+      parsedInfo = inferFromMetadata(
+        videoInfo,
+        { ...parsedInfo, year: effectiveYear },
+        config,
+        logger
+      );
+      effectiveYear = parsedInfo.year;
+    }
+
+    // 5. Check if we have an effective year and a conjunto (extras only need the year)
+    const hasSubject = Boolean(parsedInfo.conjunto || parsedInfo.extra);
+    if (!effectiveYear || !hasSubject) {
       let reason = "Could not identify ";
-      if (!effectiveYear && !parsedInfo.conjunto)
+      if (!effectiveYear && !hasSubject)
         reason += "year (or provided --year) or conjunto";
       else if (!effectiveYear) reason += "year (or provided --year)";
       else reason += "conjunto";
-      reason += ` in title: "${videoInfo.title}"`;
+      reason += ` in title or metadata: "${videoInfo.title}"`;
 
       logger.info(`${reason}, marking as ignored`);
       await addTrackingEntry(trackingFiles.ignoredPath, {
@@ -561,6 +897,7 @@ export async function processSingleVideo(
         title: videoInfo.title,
         url: videoUrl,
         reason: reason,
+        channel: videoInfo.channel || videoInfo.uploader || null,
         parsedInfoRaw: parsedInfo,
         forcedYearAttempted: forcedYear,
       });
@@ -569,12 +906,47 @@ export async function processSingleVideo(
         reason: reason,
       };
     }
+
+    // 5b. Use the conjunto's category for that year; flag combinations missing from the roster
+    if (parsedInfo.conjunto) {
+      const roster = resolveConjuntoForYear(
+        config,
+        parsedInfo.conjunto,
+        effectiveYear
+      );
+      parsedInfo = {
+        ...parsedInfo,
+        conjunto: roster.conjunto,
+        activeInYear: roster.activeInYear,
+      };
+      if (
+        roster.activeInYear === false &&
+        !parsedInfo.extra &&
+        !downloadedSet.has(videoInfo.id)
+      ) {
+        const reason = `Conjunto ${parsedInfo.conjunto.name} is not listed as competing in ${effectiveYear}`;
+        logger.info(`Video ${videoInfo.id} marked for check later: ${reason}`);
+        await addTrackingEntry(trackingFiles.checkLaterPath, withSuggestion({
+          id: videoInfo.id,
+          title: videoInfo.title,
+          url: videoUrl,
+          reason,
+          conjunto: parsedInfo.conjunto,
+          year: effectiveYear,
+          round: parsedInfo.round,
+          candidates: parsedInfo.candidates,
+          sources: parsedInfo.sources,
+        }));
+        return { status: "check_later", reason };
+      }
+    }
+
     logger.info(
       `Processing with: Year=${effectiveYear}, Conjunto=${
-        parsedInfo.conjunto.name
-      }, Category=${parsedInfo.conjunto.category}${
+        parsedInfo.conjunto?.name || "N/A"
+      }, Category=${parsedInfo.conjunto?.category || "N/A"}${
         parsedInfo.round ? `, Round=${parsedInfo.round}` : ""
-      }`
+      }${parsedInfo.extra ? `, Extra=${parsedInfo.extra.label}` : ""}`
     );
 
     // 6. Check if video should be downloaded
@@ -582,6 +954,8 @@ export async function processSingleVideo(
       year: effectiveYear,
       conjunto: parsedInfo.conjunto,
       round: parsedInfo.round,
+      extra: parsedInfo.extra,
+      etapa: parsedInfo.etapa,
       isAlternativeFormat: parsedInfo.isAlternativeFormat,
     };
     const downloadDecision = shouldDownload(
@@ -593,7 +967,7 @@ export async function processSingleVideo(
       logger.info(
         `Video ${videoInfo.id} marked for check later: ${downloadDecision.reason}`
       );
-      await addTrackingEntry(trackingFiles.checkLaterPath, {
+      await addTrackingEntry(trackingFiles.checkLaterPath, withSuggestion({
         id: videoInfo.id,
         title: videoInfo.title,
         url: videoUrl,
@@ -602,26 +976,23 @@ export async function processSingleVideo(
         year: effectiveYear,
         round: parsedInfo.round,
         duration: videoInfo.duration,
-      });
+      }));
       return { status: "check_later", reason: downloadDecision.reason };
     }
 
     // 7. Prepare for download
-    const outputDir = path.join(
+    const { outputDir, baseFilename } = getOutputLocation(
       baseDir,
-      effectiveYear,
-      parsedInfo.conjunto.category
+      downloadCheckInfo,
+      videoInfo,
+      config
     );
     await fs.ensureDir(outputDir);
-    const baseFilename = `${parsedInfo.conjunto.name} ${effectiveYear}${
-      parsedInfo.round ? ` - ${parsedInfo.round}` : ""
-    }`;
     const expectedNfoPath = path.join(outputDir, baseFilename + ".nfo");
 
     // 8. Download video
-    let success = false;
     try {
-      success = await downloadVideo(
+      await downloadVideo(
         videoUrl,
         videoInfo.id,
         outputDir,
@@ -632,57 +1003,46 @@ export async function processSingleVideo(
           conjunto: parsedInfo.conjunto,
           year: effectiveYear,
           round: parsedInfo.round,
+          extra: parsedInfo.extra,
+          etapa: parsedInfo.etapa,
+          ...getDownloadOptions(config, downloadCheckInfo),
         },
         trackingFiles.downloadedPath,
         logger
       );
 
-      if (success) {
-        logger.info(`Successfully processed single video ${videoInfo.id}`);
-        // Remove from failed.json if it was there
-        if (failedSet.has(videoInfo.id)) {
-          await removeTrackingEntryById(
-            trackingFiles.failedPath,
-            videoInfo.id,
-            logger
-          );
-          logger.info(
-            `Removed successfully processed video ${videoInfo.id} from failed.json.`
-          );
-        }
-        return { status: "downloaded", path: expectedNfoPath };
-      } else {
-        logger.error(
-          `downloadVideo returned false for single video ${videoInfo.id}.`
+      logger.info(`Successfully processed single video ${videoInfo.id}`);
+      // Remove from failed.json if it was there
+      if (failedSet.has(videoInfo.id)) {
+        await removeTrackingEntryById(
+          trackingFiles.failedPath,
+          videoInfo.id,
+          logger
         );
-        await addTrackingEntry(trackingFiles.failedPath, {
+        logger.info(
+          `Removed successfully processed video ${videoInfo.id} from failed.json.`
+        );
+      }
+      return { status: "downloaded", path: expectedNfoPath };
+    } catch (error) {
+      logger.error(
+        `Failed to process single video ${videoInfo.id} due to error in downloadVideo function`,
+        { error: error.message, stack: error.stack }
+      );
+      await recordFailure(
+        trackingFiles,
+        {
           id: videoInfo.id,
           title: videoInfo.title,
           url: videoUrl,
-          error: "downloadVideo returned false (likely yt-dlp exec error)",
+          error: `Download function error: ${error.message}`,
           conjunto: parsedInfo.conjunto,
           year: effectiveYear,
           round: parsedInfo.round,
-        });
-        return {
-          status: "failed",
-          error: "yt-dlp execution failed (check logs)",
-        };
-      }
-    } catch (error) {
-      logger.error(
-        `Failed to process single video ${videoInfo.id} due to error in downloadVideo function`,
-        { error: error.message, stack: error.stack }
+        },
+        config.settings.retry,
+        logger
       );
-      await addTrackingEntry(trackingFiles.failedPath, {
-        id: videoInfo.id,
-        title: videoInfo.title,
-        url: videoUrl,
-        error: `Download function error: ${error.message}`,
-        conjunto: parsedInfo.conjunto,
-        year: effectiveYear,
-        round: parsedInfo.round,
-      });
       return { status: "failed", error: error.message };
     }
   } catch (error) {
@@ -698,11 +1058,254 @@ export async function processSingleVideo(
       error: `Processing error: ${error.message}`,
       forcedYearAttempted: forcedYear,
     };
-    await addTrackingEntry(trackingFiles.failedPath, errorData);
+    await recordFailure(
+      trackingFiles,
+      errorData,
+      config.settings.retry,
+      logger
+    );
     return { status: "failed", error: `Processing error: ${error.message}` };
   }
 }
 
+/**
+ * Year passed with --year when a video was ignored (channel runs record it
+ * as forcedYearProvided, single-video runs as forcedYearAttempted).
+ * @param {Object} entry - ignored.json entry
+ * @returns {string|null} Fallback year, or null
+ */
+function getIgnoredFallbackYear(entry) {
+  return entry.forcedYearProvided || entry.forcedYearAttempted || null;
+}
+
+/**
+ * Re-run ignored videos through single-video processing.
+ * Each video is removed from ignored.json first; processSingleVideo records
+ * it again, with a fresh reason, if it still cannot be identified. Videos
+ * that fail (e.g. metadata could not be fetched) keep their ignored entry.
+ * A --year recorded with the entry is passed on as the fallback year, as it
+ * was when the video was first processed.
+ * @param {Array<Object>} videos - Entries of ignored.json { id, title, url, ... }
+ * @param {string} baseDir - Base directory for downloads
+ * @param {Object} trackingFiles - Paths to tracking files
+ * @param {Object} config - Loaded configuration
+ * @param {Set<string>} downloadedSet - IDs in the download archive
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<Array<Object>>} processSingleVideo results with { id, title }
+ */
+export async function reprocessIgnoredVideos(
+  videos,
+  baseDir,
+  trackingFiles,
+  config,
+  downloadedSet,
+  logger
+) {
+  const results = [];
+  for (const video of videos) {
+    logger.info(`Re-processing ignored video ${video.id}: ${video.title}`);
+    await removeTrackingEntryById(trackingFiles.ignoredPath, video.id, logger);
+    const result = await processSingleVideo(
+      video.url,
+      baseDir,
+      trackingFiles,
+      config,
+      downloadedSet,
+      logger,
+      getIgnoredFallbackYear(video)
+    );
+    if (result.status === "failed") {
+      await addTrackingEntry(trackingFiles.ignoredPath, video);
+    }
+    results.push({ id: video.id, title: video.title, ...result });
+  }
+  return results;
+}
+
+/**
+ * Re-check every ignored.json entry against the current roster and parser.
+ * Titles are re-parsed without fetching anything (stored overrides apply);
+ * entries that now yield a conjunto (or extra) and a year (the entry's
+ * --year counts as a fallback) are removed from ignored.json and processed
+ * like a single video, the rest stay with a refreshed reason. Only entries
+ * that are then downloaded or marked for check later count as reprocessed;
+ * failed ones go back to ignored.json. Duplicate entries for the same video
+ * are collapsed.
+ * @param {string} baseDir - Base directory for downloads
+ * @param {Object} trackingFiles - Paths to tracking files
+ * @param {Object} config - Loaded configuration
+ * @param {Set<string>} downloadedSet - IDs in the download archive
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<Object>} Processing statistics
+ */
+export async function processIgnored(
+  baseDir,
+  trackingFiles,
+  config,
+  downloadedSet,
+  logger
+) {
+  const stats = {
+    total_items: 0,
+    matched: 0, // Entries the current roster/parser can now identify
+    reprocessed: 0, // Matched entries actually downloaded or queued for review
+    downloaded: 0,
+    checkLater: 0,
+    still_ignored: 0, // Includes matched entries that processing ignored again
+    failed: 0,
+  };
+  const entries = await readTrackingJson(trackingFiles.ignoredPath);
+  stats.total_items = entries.length;
+  logger.info(`Re-checking ${entries.length} entries in ignored.json`);
+  const overrides = await loadOverrides(trackingFiles.overridesPath, logger);
+
+  // Latest entry per video wins (channel re-runs may have appended duplicates)
+  const latestById = new Map();
+  const withoutId = [];
+  for (const entry of entries) {
+    if (entry && entry.id) latestById.set(entry.id, entry);
+    else if (entry) withoutId.push(entry);
+  }
+
+  const remaining = [...withoutId];
+  const toProcess = [];
+  for (const entry of latestById.values()) {
+    const title = entry.currentTitle || entry.title;
+    let parsedInfo = parseVideoTitle(title, config);
+    const override = findOverride(overrides, entry.id, title);
+    if (override) parsedInfo = applyOverride(parsedInfo, override, config);
+    const year = parsedInfo.year || getIgnoredFallbackYear(entry);
+    const hasSubject = Boolean(parsedInfo.conjunto || parsedInfo.extra);
+
+    if (!parsedInfo.skippedKeyword && hasSubject && year && entry.url) {
+      logger.info(
+        `Ignored video ${entry.id} now matches ${
+          parsedInfo.conjunto?.name || parsedInfo.extra.label
+        } ${year}: "${title}"`
+      );
+      toProcess.push(entry);
+      continue;
+    }
+
+    let reason;
+    if (parsedInfo.skippedKeyword) {
+      reason = `Title contains skip keyword "${parsedInfo.skippedKeyword}"`;
+    } else {
+      const missing = [];
+      if (!hasSubject) missing.push("conjunto");
+      // The parser drops the year when it finds no conjunto
+      if (!year && !extractYear(title)) missing.push("year");
+      reason = `Could not identify ${missing.join(" and ")} in title: "${title}"`;
+    }
+    remaining.push({
+      ...entry,
+      reason: `${reason} (re-check)`,
+      parsedInfoRaw: parsedInfo,
+      recheckedAt: dayjs().format(),
+    });
+  }
+
+  stats.matched = toProcess.length;
+  // Written before processing: processSingleVideo appends to ignored.json itself
+  await writeTrackingJson(trackingFiles.ignoredPath, remaining);
+
+  const results = await reprocessIgnoredVideos(
+    toProcess,
+    baseDir,
+    trackingFiles,
+    config,
+    downloadedSet,
+    logger
+  );
+  for (const result of results) {
+    if (result.status === "downloaded") {
+      stats.downloaded++;
+      stats.reprocessed++;
+    } else if (result.status === "check_later") {
+      stats.checkLater++;
+      stats.reprocessed++;
+    } else if (result.status === "ignored") {
+      stats.still_ignored++;
+    } else {
+      stats.failed++;
+    }
+  }
+  stats.still_ignored += remaining.length;
+  logger.info("Ignored list re-check finished.", stats);
+  return stats;
+}
+
+/**
+ * Retry failed downloads whose failure looked transient.
+ * Only network and unknown failures are retried, once their backoff delay
+ * has passed and while they have attempts left (settings.retry). Each retry
+ * goes through the single-video path; a failed retry is recorded again
+ * (pushing its next attempt further out), and videos that turn out to be
+ * ignored or sent to check_later leave failed.json.
+ * @param {string} baseDir - Base directory for downloads
+ * @param {Object} trackingFiles - Paths to tracking files
+ * @param {Object} config - Loaded configuration
+ * @param {Set<string>} downloadedSet - IDs in the download archive
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<Object>} Retry statistics
+ */
+export async function processFailedRetries(
+  baseDir,
+  trackingFiles,
+  config,
+  downloadedSet,
+  logger
+) {
+  const records = await readFailures(trackingFiles.failedPath);
+  // Store the collapsed, classified records before retrying any of them
+  await writeTrackingJson(trackingFiles.failedPath, records);
+  const selection = selectRetries(records, config.settings.retry);
+  const stats = {
+    total_items: records.length,
+    due: selection.due.length,
+    not_due: selection.notDue.length,
+    exhausted: selection.exhausted.length,
+    not_retryable: selection.notRetryable.length,
+    downloaded: 0,
+    failed_again: 0,
+    moved_to_dead: 0,
+    no_longer_failed: 0, // Retried videos that ended up ignored or in check_later
+  };
+  logger.info(
+    `Retrying ${selection.due.length} of ${records.length} failed videos.`
+  );
+
+  for (const record of selection.due) {
+    logger.info(
+      `Retrying ${record.id} (${record.kind}, attempt ${
+        record.attempts + 1
+      }/${config.settings.retry.maxAttempts}): ${record.title}`
+    );
+    const result = await processSingleVideo(
+      record.url,
+      baseDir,
+      trackingFiles,
+      config,
+      downloadedSet,
+      logger,
+      record.year || record.effectiveYearUsed || null
+    );
+    if (result.status === "downloaded") {
+      stats.downloaded++;
+    } else if (result.status === "failed") {
+      const dead = await getTrackingIds(trackingFiles.deadPath, logger);
+      if (dead.has(record.id)) stats.moved_to_dead++;
+      else stats.failed_again++;
+    } else {
+      stats.no_longer_failed++;
+      await removeTrackingEntryById(trackingFiles.failedPath, record.id, logger);
+    }
+  }
+
+  logger.info("Failed video retry finished.", stats);
+  return stats;
+}
+
 // --- processCheckLater ---
 // (No changes needed here for the Liguilla priority rule, but keep failed removal logic)
 export async function processCheckLater(
@@ -793,6 +1396,7 @@ export async function processCheckLater(
         let effectiveYear = parsedInfo.year;
         let effectiveConjunto = parsedInfo.conjunto;
         let effectiveRound = parsedInfo.round;
+        const effectiveExtra = parsedInfo.extra || item.extra || null;
         // *** Prioritize data from check_later.json item if present ***
         let usingCheckLaterData = false;
         if (item.year) {
@@ -810,6 +1414,18 @@ export async function processCheckLater(
           usingCheckLaterData = true;
         }
         if (item.conjunto && item.conjunto.name && item.conjunto.category) {
+          // Map an alias typed by the reviewer onto the canonical roster name
+          const canonical = findConjuntoByName(
+            config,
+            item.conjunto.name,
+            normalizeString
+          );
+          if (canonical && canonical.name !== item.conjunto.name) {
+            logger.info(
+              `Conjunto "${item.conjunto.name}" from check_later.json is an alias of "${canonical.name}". Using canonical name.`
+            );
+            item.conjunto = { ...item.conjunto, name: canonical.name };
+          }
           if (parsedInfo.conjunto?.name !== item.conjunto.name) {
             logger.warn(
               `Conjunto "${item.conjunto.name}" from check_later.json overrides conjunto "${parsedInfo.conjunto?.name}" found in current title. Using "${item.conjunto.name}".`
@@ -837,8 +1453,24 @@ export async function processCheckLater(
         }
         // *** End check_later.json data logic ***
 
+        // The reviewer's conjunto is kept even if the roster disagrees, but filed
+        // under its category for that year
+        if (effectiveConjunto && effectiveYear) {
+          const roster = resolveConjuntoForYear(
+            config,
+            effectiveConjunto,
+            effectiveYear
+          );
+          if (roster.activeInYear === false) {
+            logger.warn(
+              `Conjunto "${effectiveConjunto.name}" is not listed as competing in ${effectiveYear}; processing check_later item ${item.id} as requested.`
+            );
+          }
+          effectiveConjunto = roster.conjunto;
+        }
+
         // ... (check effectiveYear/conjunto, add to ignored if needed) ...
-        if (!effectiveYear || !effectiveConjunto) {
+        if (!effectiveYear || (!effectiveConjunto && !effectiveExtra)) {
           let reason = "Could not identify ";
           if (!effectiveYear && !effectiveConjunto)
             reason += "year or conjunto (from title or check_later item)";
@@ -862,11 +1494,21 @@ export async function processCheckLater(
           continue; // Don't add back to remainingCheckLater
         }
         if (usingCheckLaterData) {
+          // Keep what the reviewer changed so later runs parse this video right;
+          // guesses left as they were pre-filled are not confirmed corrections
+          const correction = getReviewedCorrection(item);
+          if (Object.keys(correction).length > 0) {
+            await recordOverride(
+              trackingFiles.overridesPath,
+              { id: item.id, title: videoInfo.title, ...correction },
+              logger
+            );
+          }
           logger.info(
             `Processing check_later item ${
               item.id
             } using data from JSON entry (Year: ${effectiveYear}, Conjunto: ${
-              effectiveConjunto.name
+              effectiveConjunto?.name || "N/A"
             }, Round: ${effectiveRound || "N/A"})`
           );
         } else {
@@ -874,25 +1516,28 @@ export async function processCheckLater(
             `Processing check_later item ${
               item.id
             } using data parsed from title (Year=${effectiveYear}, Conjunto=${
-              effectiveConjunto.name
+              effectiveConjunto?.name || "N/A"
             }, Round=${effectiveRound || "N/A"})`
           );
         }
 
         // ... (prepare for download) ...
-        const outputDir = path.join(
+        const { outputDir, baseFilename } = getOutputLocation(
           baseDir,
-          effectiveYear,
-          effectiveConjunto.category
+          {
+            year: effectiveYear,
+            conjunto: effectiveConjunto,
+            round: effectiveRound,
+            extra: effectiveExtra,
+            etapa: parsedInfo.etapa,
+          },
+          videoInfo,
+          config
         );
         await fs.ensureDir(outputDir);
-        const baseFilename = `${effectiveConjunto.name} ${effectiveYear}${
-          effectiveRound ? ` - ${effectiveRound}` : ""
-        }`;
 
-        let success = false;
         try {
-          success = await downloadVideo(
+          await downloadVideo(
             item.url,
             item.id,
             outputDir,
@@ -903,55 +1548,53 @@ export async function processCheckLater(
               conjunto: effectiveConjunto,
               year: effectiveYear,
               round: effectiveRound,
+              extra: effectiveExtra,
+              etapa: parsedInfo.etapa,
+              ...getDownloadOptions(config, {
+                year: effectiveYear,
+                conjunto: effectiveConjunto,
+                round: effectiveRound,
+                extra: effectiveExtra,
+                etapa: parsedInfo.etapa,
+              }),
             },
             trackingFiles.downloadedPath,
             logger
           );
 
-          if (success) {
-            stats.downloaded++;
-            logger.info(`Successfully processed check_later item ${item.id}`);
-            // Remove from failed.json if it was there
-            if (failedSet.has(item.id)) {
-              await removeTrackingEntryById(
-                trackingFiles.failedPath,
-                item.id,
-                logger
-              );
-              logger.info(
-                `Removed successfully processed video ${item.id} from failed.json (via check_later).`
-              );
-            }
-            // Don't add back to remainingCheckLater
-          } else {
-            stats.failed++;
-            logger.error(
-              `downloadVideo returned false for check_later item ${item.id}.`
+          stats.downloaded++;
+          logger.info(`Successfully processed check_later item ${item.id}`);
+          // Remove from failed.json if it was there
+          if (failedSet.has(item.id)) {
+            await removeTrackingEntryById(
+              trackingFiles.failedPath,
+              item.id,
+              logger
+            );
+            logger.info(
+              `Removed successfully processed video ${item.id} from failed.json (via check_later).`
             );
-            await addTrackingEntry(trackingFiles.failedPath, {
-              ...item,
-              error: `Check_later processing error: downloadVideo returned false (likely yt-dlp exec error)`,
-              currentTitle: videoInfo.title,
-              effectiveYearUsed: effectiveYear,
-              effectiveConjuntoUsed: effectiveConjunto.name,
-              effectiveRoundUsed: effectiveRound,
-            });
-            // Don't add back to remainingCheckLater
           }
+          // Don't add back to remainingCheckLater
         } catch (error) {
           stats.failed++;
           logger.error(
             `Failed to process check_later item ${item.id} due to error in downloadVideo function`,
             { error: error.message, stack: error.stack }
           );
-          await addTrackingEntry(trackingFiles.failedPath, {
-            ...item,
-            error: `Check_later processing error: ${error.message}`,
-            currentTitle: videoInfo.title,
-            effectiveYearUsed: effectiveYear,
-            effectiveConjuntoUsed: effectiveConjunto.name,
-            effectiveRoundUsed: effectiveRound,
-          });
+          await recordFailure(
+            trackingFiles,
+            {
+              ...item,
+              error: `Check_later processing error: ${error.message}`,
+              currentTitle: videoInfo.title,
+              effectiveYearUsed: effectiveYear,
+              effectiveConjuntoUsed: effectiveConjunto?.name,
+              effectiveRoundUsed: effectiveRound,
+            },
+            config.settings.retry,
+            logger
+          );
           // Don't add back to remainingCheckLater
         }
       } catch (error) {
@@ -960,10 +1603,15 @@ export async function processCheckLater(
           `Failed to process check_later item ${item.id} during metadata fetch`,
           { error: error.message, stack: error.stack }
         );
-        await addTrackingEntry(trackingFiles.failedPath, {
-          ...item,
-          error: `Check_later metadata fetch error: ${error.message}`,
-        });
+        await recordFailure(
+          trackingFiles,
+          {
+            ...item,
+            error: `Check_later metadata fetch error: ${error.message}`,
+          },
+          config.settings.retry,
+          logger
+        );
         // Don't add back to remainingCheckLater
       }
     } // End loop
@@ -0,0 +1,68 @@
+// Progress lines of the downloads running right now (video ID -> text).
+// On a terminal they are drawn below the log as a block of one line per
+// active download; anywhere else nothing is drawn.
+const activeProgress = new Map();
+let drawnProgressLines = 0;
+
+/**
+ * Whether the progress block is drawn (stdout is a terminal).
+ * @returns {boolean}
+ */
+function isProgressInteractive() {
+  return Boolean(process.stdout.isTTY);
+}
+
+/**
+ * Remove the drawn block, leaving the cursor where its first line was.
+ */
+function eraseProgress() {
+  if (drawnProgressLines === 0) return;
+  process.stdout.write(`\x1b[${drawnProgressLines}F\x1b[J`);
+  drawnProgressLines = 0;
+}
+
+/**
+ * Redraw the progress block in place of the previous one.
+ */
+function drawProgress() {
+  // Move up to the first line of the previous block, rewrite it and clear
+  // the lines left over by downloads that finished
+  let output = drawnProgressLines > 0 ? `\x1b[${drawnProgressLines}F` : "";
+  for (const text of activeProgress.values()) output += `\x1b[2K${text}\n`;
+  process.stdout.write(`${output}\x1b[J`);
+  drawnProgressLines = activeProgress.size;
+}
+
+/**
+ * Set (or add) a download's line of the progress block.
+ * @param {string} videoId - Video ID
+ * @param {string} text - Progress line
+ */
+export function setProgressLine(videoId, text) {
+  if (!isProgressInteractive()) return;
+  activeProgress.set(videoId, text);
+  drawProgress();
+}
+
+/**
+ * Remove a finished download's line from the progress block.
+ * @param {string} videoId - Video ID
+ */
+export function removeProgressLine(videoId) {
+  if (activeProgress.delete(videoId)) drawProgress();
+}
+
+/**
+ * Write terminal output (a log line) above the progress block: the block is
+ * erased, `write` runs and the block is drawn again below its output.
+ * @param {Function} write - Synchronous write to stdout or stderr
+ */
+export function writeAboveProgress(write) {
+  if (drawnProgressLines === 0) {
+    write();
+    return;
+  }
+  eraseProgress();
+  write();
+  drawProgress();
+}
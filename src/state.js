@@ -17,10 +17,15 @@ export async function initTracking(baseDir) {
 
   const trackingFiles = {
     downloadedPath: path.join(trackingDir, "downloaded.txt"), // Used by yt-dlp --download-archive
+    audioDownloadedPath: path.join(trackingDir, "downloaded_audio.txt"), // Archive of --audio runs
     checkLaterPath: path.join(trackingDir, "check_later.json"),
     ignoredPath: path.join(trackingDir, "ignored.json"),
     incompletePath: path.join(trackingDir, "incomplete.json"), // Consider removing if redundant
     failedPath: path.join(trackingDir, "failed.json"),
+    overridesPath: path.join(trackingDir, "overrides.json"), // Corrections confirmed in check_later.json
+    deadPath: path.join(trackingDir, "dead.json"), // Permanently unavailable videos (never retried)
+    metadataCachePath: path.join(trackingDir, "metadata_cache.json"), // Metadata fetched for inference in --channel runs
+    reorganizePath: path.join(trackingDir, "reorganize.json"), // Journal of an unfinished reorganize run
   };
 
   // Initialize each tracking file
@@ -56,6 +61,17 @@ export async function initTracking(baseDir) {
   return trackingFiles;
 }
 
+/**
+ * Tracking files of an --audio run: the same files, except that the audio
+ * archive takes the place of downloaded.txt so audio and video copies of a
+ * performance are tracked separately.
+ * @param {Object} trackingFiles - Result of initTracking
+ * @returns {Object} Tracking files for the audio library
+ */
+export function useAudioArchive(trackingFiles) {
+  return { ...trackingFiles, downloadedPath: trackingFiles.audioDownloadedPath };
+}
+
 /**
  * Get a Set of downloaded video IDs from the yt-dlp archive file.
  * @param {string} downloadedPath - Path to downloaded.txt (yt-dlp archive)
@@ -98,6 +114,22 @@ export async function getDownloadedSet(downloadedPath) {
   return downloadedIds;
 }
 
+// Tracking file updates still to run. Read-modify-write updates are chained
+// so concurrent downloads never overwrite each other's entries.
+let pendingTrackingUpdates = Promise.resolve();
+
+/**
+ * Run a read-modify-write update of tracking files after all earlier ones.
+ * The lock is not reentrant: an update must not call another locked function.
+ * @param {Function} update - Async function performing the update
+ * @returns {Promise<*>} Result of the update
+ */
+export function withTrackingLock(update) {
+  const result = pendingTrackingUpdates.then(update);
+  pendingTrackingUpdates = result.catch(() => {});
+  return result;
+}
+
 /**
  * Read a JSON tracking file safely.
  * @param {string} filePath - Path to the JSON file
@@ -155,10 +187,15 @@ export async function writeTrackingJson(filePath, data) {
  * Add a single entry to a JSON tracking file.
  * Reads the existing file, pushes the new entry, and writes back.
  * Consider adding logic to prevent duplicates or update existing entries if needed.
+ * Runs under the tracking lock (see withTrackingLock).
  * @param {string} filePath - Path to the tracking file
  * @param {Object} entry - Entry object to add
  */
 export async function addTrackingEntry(filePath, entry) {
+  return withTrackingLock(() => appendTrackingEntry(filePath, entry));
+}
+
+async function appendTrackingEntry(filePath, entry) {
   try {
     const entries = await readTrackingJson(filePath);
     // Optional: Check for duplicates based on ID before pushing
@@ -211,11 +248,18 @@ export async function getTrackingIds(filePath, logger) {
 
 /**
  * Remove an entry from a JSON tracking file by its video ID.
+ * Runs under the tracking lock (see withTrackingLock).
  * @param {string} filePath - Path to the tracking file
  * @param {string} videoId - The ID of the video entry to remove
  * @param {Object} logger - Logger instance
  */
 export async function removeTrackingEntryById(filePath, videoId, logger) {
+  return withTrackingLock(() =>
+    filterTrackingEntryById(filePath, videoId, logger)
+  );
+}
+
+async function filterTrackingEntryById(filePath, videoId, logger) {
   if (!videoId) {
     logger.warn(
       `[removeTrackingEntryById] Attempted to remove entry with null/empty ID from ${filePath}`
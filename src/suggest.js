@@ -0,0 +1,336 @@
+import fs from "fs-extra";
+import path from "path";
+import { parseVideoTitle } from "./parser.js";
+import { tokenize, levenshteinSimilarity } from "./matcher.js";
+
+// Title words that describe the video rather than name a conjunto
+const noiseWords = new Set([
+  "carnaval",
+  "carnival",
+  "concurso",
+  "oficial",
+  "agrupaciones",
+  "carnavalescas",
+  "etapa",
+  "vivo",
+  "completo",
+  "completa",
+  "actuacion",
+  "espectaculo",
+  "show",
+  "presentacion",
+  "programa",
+  "parte",
+  "fragmento",
+  "resumen",
+  "ensayo",
+  "video",
+  "hd",
+  "tv",
+]);
+// Joining words that may sit inside a name but never start or end one
+const joiningWords = new Set(["de", "del", "y", "e", "en", "con", "por", "a", "al"]);
+// Longer runs of words are phrases, not names
+const maxNameWords = 6;
+// Same rule as the matcher: shorter names are only merged when identical
+const minFuzzyKeyLength = 6;
+
+/**
+ * Map title words to the category they point to: each category's name, its
+ * singular form and its configured hints (settings.suggestions.categoryHints).
+ * @param {Object} config - Loaded configuration
+ * @returns {Map<string, string>} Normalized word -> category
+ */
+function buildCategoryWords(config) {
+  const words = new Map();
+  const hints = config.settings.suggestions.categoryHints || {};
+  for (const category of Object.keys(config.categories)) {
+    const plural = tokenize(category).join("");
+    words.set(plural, category);
+    if (plural.endsWith("s")) words.set(plural.slice(0, -1), category);
+    for (const hint of hints[category] || []) {
+      words.set(tokenize(hint).join(""), category);
+    }
+  }
+  return words;
+}
+
+/**
+ * Words that end a candidate name: generic video words, round names, keyword
+ * group keywords and category words.
+ * @param {Object} config - Loaded configuration
+ * @param {Map<string, string>} categoryWords - See buildCategoryWords
+ * @returns {Set<string>} Normalized words
+ */
+function buildBreakWords(config, categoryWords) {
+  const words = new Set([...noiseWords, ...categoryWords.keys()]);
+  for (const round of config.settings.rounds) {
+    for (const name of [round.name, ...(round.variants || [])]) {
+      tokenize(name).forEach((word) => words.add(word));
+    }
+  }
+  for (const group of config.settings.keywordGroups) {
+    group.keywords.forEach((keyword) =>
+      tokenize(keyword).forEach((word) => words.add(word))
+    );
+  }
+  // A joining word inside a round name ("Teatro de Verano") can still join a name
+  joiningWords.forEach((word) => words.delete(word));
+  return words;
+}
+
+/**
+ * Pull the runs of words out of a title that could be a conjunto name.
+ * Titles are cut at separators, years, ordinals and break words; what is
+ * left between them is a candidate name.
+ * @param {string} title - Video title
+ * @param {Set<string>} breakWords - See buildBreakWords
+ * @returns {Array<Object>} Candidate names { key, text } (key: normalized, no spaces)
+ */
+function extractNamePhrases(title, breakWords) {
+  const phrases = [];
+  for (const segment of title.split(/[|:;,()[\]{}"“”«»!?¡¿/–—]+|\s-\s/)) {
+    let run = [];
+    const flush = () => {
+      while (run.length > 0 && joiningWords.has(run[0].key)) run.shift();
+      while (run.length > 0 && joiningWords.has(run[run.length - 1].key)) {
+        run.pop();
+      }
+      const key = run.map((word) => word.key).join("");
+      if (run.length > 0 && run.length <= maxNameWords && /[a-z]{3}/.test(key)) {
+        phrases.push({ key, text: run.map((word) => word.text).join(" ") });
+      }
+      run = [];
+    };
+    for (const rawWord of segment.split(/\s+/)) {
+      const text = rawWord.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, "");
+      const key = tokenize(text).join("");
+      if (!key) continue;
+      if (
+        breakWords.has(key) ||
+        /^(19|20)\d{2}$/.test(key) ||
+        /^\d+(ra|da|ta|ma|er|era|ro|do|to|a|o)$/.test(key)
+      ) {
+        flush();
+        continue;
+      }
+      run.push({ key, text });
+    }
+    flush();
+  }
+  return phrases;
+}
+
+/**
+ * Categories mentioned in a title.
+ * @param {string} title - Video title
+ * @param {Map<string, string>} categoryWords - See buildCategoryWords
+ * @returns {Set<string>} Categories
+ */
+function findTitleCategories(title, categoryWords) {
+  const categories = new Set();
+  for (const word of tokenize(title)) {
+    if (categoryWords.has(word)) categories.add(categoryWords.get(word));
+  }
+  return categories;
+}
+
+/**
+ * Pick the category with the most votes.
+ * @param {Map<string, number>} votes - Category -> votes
+ * @returns {string|null} Category, or null without votes
+ */
+function topCategory(votes) {
+  let best = null;
+  for (const [category, count] of votes) {
+    if (!best || count > votes.get(best)) best = category;
+  }
+  return best;
+}
+
+/**
+ * Mine ignored videos for conjunto names missing from the roster.
+ * Ignored titles that still do not match any conjunto are split into
+ * candidate names; names repeated across videos are clustered (spelling
+ * variants within the matching threshold are merged) and ranked by the
+ * number of videos. The category is guessed from category words in the
+ * cluster's titles, or failing that from the other ignored titles of the
+ * same channels.
+ * @param {Array<Object>} entries - Entries of ignored.json
+ * @param {Object} config - Loaded configuration
+ * @param {Object} [options] - { minVideos } (defaults to settings.suggestions.minVideos)
+ * @returns {Array<Object>} Suggestions { name, aliases, category, categorySource, categoryVotes, videos: [{ id, title, url }] }
+ */
+export function suggestConjuntos(entries, config, options = {}) {
+  const minVideos = options.minVideos ?? config.settings.suggestions.minVideos;
+  const categoryWords = buildCategoryWords(config);
+  const breakWords = buildBreakWords(config, categoryWords);
+
+  const phraseGroups = new Map(); // key -> { key, texts, videos }
+  const channelVotes = new Map(); // channel -> Map<category, votes>
+  const videoCategories = new Map(); // video id -> Set<category>
+  for (const entry of entries) {
+    const title = entry?.currentTitle || entry?.title;
+    if (!title || !entry.id) continue;
+    const parsed = parseVideoTitle(title, config);
+    // Already matchable now, or excluded on purpose
+    if (parsed.conjunto || parsed.skippedKeyword) continue;
+
+    const categories = findTitleCategories(title, categoryWords);
+    videoCategories.set(entry.id, categories);
+    if (entry.channel) {
+      if (!channelVotes.has(entry.channel)) {
+        channelVotes.set(entry.channel, new Map());
+      }
+      const votes = channelVotes.get(entry.channel);
+      categories.forEach((category) =>
+        votes.set(category, (votes.get(category) || 0) + 1)
+      );
+    }
+
+    for (const { key, text } of extractNamePhrases(title, breakWords)) {
+      if (!phraseGroups.has(key)) {
+        phraseGroups.set(key, { key, texts: new Map(), videos: new Map() });
+      }
+      const group = phraseGroups.get(key);
+      group.texts.set(text, (group.texts.get(text) || 0) + 1);
+      group.videos.set(entry.id, {
+        id: entry.id,
+        title,
+        url: entry.url,
+        channel: entry.channel || null,
+      });
+    }
+  }
+
+  // Merge spelling variants into the most common spelling's cluster
+  const { threshold } = config.settings.matching;
+  const clusters = [];
+  const groups = [...phraseGroups.values()].sort(
+    (a, b) => b.videos.size - a.videos.size || a.key.localeCompare(b.key)
+  );
+  for (const group of groups) {
+    const cluster =
+      group.key.length >= minFuzzyKeyLength &&
+      clusters.find(
+        (candidate) =>
+          candidate.key.length >= minFuzzyKeyLength &&
+          levenshteinSimilarity(candidate.key, group.key) >= threshold
+      );
+    if (cluster) {
+      cluster.groups.push(group);
+    } else {
+      clusters.push({ key: group.key, groups: [group] });
+    }
+  }
+
+  const suggestions = [];
+  for (const cluster of clusters) {
+    const videos = new Map();
+    const texts = new Map();
+    for (const group of cluster.groups) {
+      group.videos.forEach((video, id) => videos.set(id, video));
+      group.texts.forEach((count, text) =>
+        texts.set(text, (texts.get(text) || 0) + count)
+      );
+    }
+    if (videos.size < minVideos) continue;
+
+    const name = [...texts].sort((a, b) => b[1] - a[1])[0][0];
+    const nameKey = tokenize(name).join("");
+    const aliases = [];
+    const aliasKeys = new Set([nameKey]);
+    for (const [text] of [...texts].sort((a, b) => b[1] - a[1])) {
+      const key = tokenize(text).join("");
+      if (!aliasKeys.has(key)) {
+        aliasKeys.add(key);
+        aliases.push(text);
+      }
+    }
+
+    const titleVotes = new Map();
+    const contextVotes = new Map();
+    for (const video of videos.values()) {
+      videoCategories.get(video.id).forEach((category) =>
+        titleVotes.set(category, (titleVotes.get(category) || 0) + 1)
+      );
+      (channelVotes.get(video.channel) || new Map()).forEach((count, category) =>
+        contextVotes.set(category, (contextVotes.get(category) || 0) + count)
+      );
+    }
+    const titleCategory = topCategory(titleVotes);
+    const channelCategory = topCategory(contextVotes);
+
+    suggestions.push({
+      name,
+      aliases,
+      category: titleCategory || channelCategory,
+      categorySource: titleCategory ? "title" : channelCategory ? "channel" : null,
+      categoryVotes: Object.fromEntries(titleCategory ? titleVotes : contextVotes),
+      videos: [...videos.values()].map(({ id, title, url }) => ({ id, title, url })),
+    });
+  }
+
+  return suggestions.sort(
+    (a, b) => b.videos.length - a.videos.length || a.name.localeCompare(b.name)
+  );
+}
+
+/**
+ * Resolve the suggestions picked on the command line.
+ * Each spec is a suggestion number (as printed, starting at 1) or name,
+ * optionally followed by "=Category" to override the guessed category.
+ * @param {string[]} specs - Accept specs ("2", "La Nueva", "3=Murgas")
+ * @param {Array<Object>} suggestions - Result of suggestConjuntos
+ * @param {Object} config - Loaded configuration
+ * @returns {Array<Object>} Accepted suggestions with their final category
+ * @throws {Error} If a spec matches no suggestion or no category is known
+ */
+export function resolveAcceptedSuggestions(specs, suggestions, config) {
+  return specs.map((spec) => {
+    const [selector, category] = spec.split("=").map((part) => part.trim());
+    const suggestion = /^\d+$/.test(selector)
+      ? suggestions[parseInt(selector, 10) - 1]
+      : suggestions.find(
+          (candidate) =>
+            tokenize(candidate.name).join("") === tokenize(selector).join("")
+        );
+    if (!suggestion) {
+      throw new Error(`No suggestion matches '${selector}'`);
+    }
+    const finalCategory = category || suggestion.category;
+    if (!finalCategory) {
+      throw new Error(
+        `No category could be guessed for '${suggestion.name}'. Accept it as '${selector}=<Category>'.`
+      );
+    }
+    if (!(finalCategory in config.categories)) {
+      throw new Error(
+        `Unknown category '${finalCategory}' for '${suggestion.name}' (known: ${Object.keys(
+          config.categories
+        ).join(", ")})`
+      );
+    }
+    return { ...suggestion, category: finalCategory };
+  });
+}
+
+/**
+ * Append accepted suggestions to the configuration file.
+ * Spelling variants seen in the titles are kept as aliases.
+ * @param {string} configPath - Path to conjuntos.json (as given to loadConfig)
+ * @param {Array<Object>} accepted - Result of resolveAcceptedSuggestions
+ * @returns {Promise<void>}
+ */
+export async function addSuggestionsToConfig(configPath, accepted) {
+  const filePath = path.join(process.cwd(), configPath);
+  const rawConfig = await fs.readJson(filePath);
+  for (const suggestion of accepted) {
+    rawConfig[suggestion.category].push(
+      suggestion.aliases.length > 0
+        ? { name: suggestion.name, aliases: suggestion.aliases }
+        : suggestion.name
+    );
+  }
+  await fs.writeFile(filePath, `${JSON.stringify(rawConfig, null, 2)}\n`);
+}
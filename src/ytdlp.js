@@ -0,0 +1,103 @@
+import { spawn } from "child_process";
+import fs from "fs-extra";
+import path from "path";
+import dayjs from "dayjs";
+
+// yt-dlp progress line, e.g.
+// "[download]  45.2% of ~  1.23GiB at    2.50MiB/s ETA 05:12 (frag 3/120)"
+const progressPattern =
+  /^\[download\]\s+([\d.]+)%\s+of\s+~?\s*(\S+)(?:\s+at\s+(Unknown B\/s|\S+))?(?:\s+ETA\s+(\S+))?/;
+
+/**
+ * Parse a yt-dlp progress line.
+ * @param {string} line - Output line
+ * @returns {Object|null} { percent, total, speed, eta } (unknown values are null), or null for other lines
+ */
+export function parseProgressLine(line) {
+  const match = progressPattern.exec(line.trim());
+  if (!match) return null;
+  const known = (value) => (value && !value.startsWith("Unknown") ? value : null);
+  return {
+    percent: parseFloat(match[1]),
+    total: known(match[2]),
+    speed: known(match[3]),
+    eta: known(match[4]),
+  };
+}
+
+/**
+ * Path of the raw yt-dlp log of a video: .tracking/logs/<id>.log, next to
+ * the download archive.
+ * @param {string} downloadedArchivePath - Path to the yt-dlp download archive file
+ * @param {string} videoId - Video ID
+ * @returns {string} Log file path
+ */
+export function getVideoLogPath(downloadedArchivePath, videoId) {
+  return path.join(path.dirname(downloadedArchivePath), "logs", `${videoId}.log`);
+}
+
+/**
+ * Run a command with an argument array (no shell involved).
+ * Its raw output is appended to logPath; yt-dlp progress lines are parsed
+ * and passed to onProgress.
+ * @param {string} command - Executable (yt-dlp or ffmpeg)
+ * @param {string[]} args - Arguments
+ * @param {Object} options - { logPath, onProgress }
+ * @returns {Promise<Object>} { exitCode, errorLines } (ERROR lines of stderr, or its last lines if there are none)
+ */
+async function runLogged(command, args, { logPath, onProgress = () => {} }) {
+  await fs.ensureDir(path.dirname(logPath));
+  const log = fs.createWriteStream(logPath, { flags: "a" });
+  log.write(`\n=== ${dayjs().format()} ${command} ${JSON.stringify(args)}\n`);
+
+  const stderrLines = [];
+  const result = await new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ["ignore", "pipe", "pipe"] });
+    const readLines = (stream, onLine) => {
+      let pending = "";
+      stream.setEncoding("utf-8");
+      stream.on("data", (chunk) => {
+        log.write(chunk);
+        const lines = (pending + chunk).split(/\r\n|\r|\n/);
+        pending = lines.pop();
+        lines.forEach(onLine);
+      });
+      stream.on("end", () => pending && onLine(pending));
+    };
+    readLines(child.stdout, (line) => {
+      const progress = parseProgressLine(line);
+      if (progress) onProgress(progress);
+    });
+    readLines(child.stderr, (line) => {
+      if (line.trim()) stderrLines.push(line.trim());
+    });
+    child.on("error", reject);
+    child.on("close", (exitCode) => resolve({ exitCode }));
+  }).finally(() => new Promise((resolve) => log.end(resolve)));
+
+  const errorLines = stderrLines.filter((line) => line.startsWith("ERROR:"));
+  return {
+    exitCode: result.exitCode,
+    errorLines: errorLines.length > 0 ? errorLines : stderrLines.slice(-5),
+  };
+}
+
+/**
+ * Run yt-dlp (see runLogged).
+ * @param {string[]} args - yt-dlp arguments
+ * @param {Object} options - { logPath, onProgress }
+ * @returns {Promise<Object>} { exitCode, errorLines }
+ */
+export function runYtDlp(args, options) {
+  return runLogged("yt-dlp", args, options);
+}
+
+/**
+ * Run ffmpeg (see runLogged), e.g. to remux a downloaded file.
+ * @param {string[]} args - ffmpeg arguments
+ * @param {Object} options - { logPath }
+ * @returns {Promise<Object>} { exitCode, errorLines }
+ */
+export function runFfmpeg(args, options) {
+  return runLogged("ffmpeg", args, options);
+}